@@ -1,7 +1,28 @@
 export class SyntaxError extends Error {
-  constructor(message, location) {
-    super(`Line ${location.line}, column ${location.column}: ${message}`);
+  constructor(message, location, opt_cause) {
+    super(`Line ${location.line}, column ${location.column}: ${message}`, opt_cause && {cause: opt_cause});
     this.name = 'SyntaxError';
     this.location = location;
   }
 }
+
+// Raised when the input exceeds one of the resource limits set by the options (e.g. max_depth). limit is the name
+// of the option, and path is the path of the node being parsed.
+export class LimitError extends SyntaxError {
+  constructor(message, location, limit, opt_path) {
+    super(message, location);
+    this.name = 'LimitError';
+    this.limit = limit;
+    this.path = opt_path;
+  }
+}
+
+// Raised when the parsed value does not match the schema (option `schema`). path is the path of the invalid value.
+export class ValidationError extends Error {
+  constructor(message, location, path) {
+    super(`Line ${location.line}, column ${location.column}: Invalid value at ${JSON.stringify(path)}: ${message}`);
+    this.name = 'ValidationError';
+    this.location = location;
+    this.path = path;
+  }
+}
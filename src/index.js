@@ -1,8 +1,20 @@
-import { SyntaxError } from './error.js';
-import { Parser, parse } from './parser.js';
+import { LimitError, SyntaxError, ValidationError } from './error.js';
+import { Parser, parse, parseAsync } from './parser.js';
+import { applyPatch } from './patch.js';
+import { createPlaceholder } from './schema.js';
+import { createParserStream } from './streams.js';
+import { stringify, stringifyAsync } from './stringify.js';
 
 export default {
   Parser,
   parse,
-  SyntaxError
+  parseAsync,
+  createParserStream,
+  applyPatch,
+  createPlaceholder,
+  stringify,
+  stringifyAsync,
+  SyntaxError,
+  LimitError,
+  ValidationError
 };
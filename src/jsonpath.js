@@ -0,0 +1,92 @@
+// A minimal JSONPath implementation, matching paths as produced by the parser.
+
+// A segment of a JSONPath selects either a given key (a string for an object property, a number for
+// an array index) or any key (wildcard). A descendant segment (introduced by '..') selects its keys at
+// any depth below the current node.
+const WILDCARD = {};
+
+function throwInvalidSelector(selector, message) {
+  throw `Invalid JSONPath selector "${selector}": ${message}.`;
+}
+
+// Parse a JSONPath selector into a list of segments {key, isDescendant}.
+// Supported syntax: $, .name, .*, ['name'], ["name"], [index], [*], and .. before any of them.
+function parseSelector(selector) {
+  if (selector[0] !== '$') throwInvalidSelector(selector, 'it must start with "$"');
+  const segments = [];
+  let index = 1;
+  while (index < selector.length) {
+    let isDescendant = false;
+    let key;
+    if (selector.startsWith('..', index)) {
+      isDescendant = true;
+      index += 2;
+      if (selector[index] !== '[') index -= 1;  // '..name' is read as '..' followed by 'name'.
+    }
+    if (selector[index] === '.') {
+      const match = /^(\*|[^.[\]'"\s*]+)/.exec(selector.slice(index + 1));
+      if (!match) throwInvalidSelector(selector, `expected a property name at position ${index + 1}`);
+      key = match[1] === '*' ? WILDCARD : match[1];
+      index += 1 + match[1].length;
+    } else if (selector[index] === '[') {
+      const match = /^\[\s*(\*|\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/.exec(selector.slice(index));
+      if (!match) throwInvalidSelector(selector, `invalid bracket expression at position ${index}`);
+      const expression = match[1];
+      if (expression === '*') {
+        key = WILDCARD;
+      } else if (expression[0] === '\'' || expression[0] === '"') {
+        key = expression.slice(1, -1).replace(/\\(.)/g, '$1');
+      } else {
+        key = Number(expression);
+      }
+      index += match[0].length;
+    } else {
+      throwInvalidSelector(selector, `unexpected character at position ${index}`);
+    }
+    segments.push({key, isDescendant});
+  }
+  return segments;
+}
+
+// A compiled JSONPath selector. Paths are arrays of keys, relative to the root value ($).
+export class JsonPath {
+
+  constructor(selector) {
+    this.selector = selector;
+    this.#segments = parseSelector(selector);
+  }
+
+  // Return true if the path is selected by the JSONPath.
+  matches(path) {
+    return this.#run(path).has(this.#segments.length);
+  }
+
+  // Return true if some descendant of the path may be selected by the JSONPath.
+  matchesDescendant(path) {
+    for (const state of this.#run(path)) {
+      if (state < this.#segments.length) return true;
+    }
+    return false;
+  }
+
+  #segments;
+
+  // Run the path through the JSONPath, seen as a non-deterministic automaton whose states are the
+  // indexes of the segments. Return the set of reached states.
+  #run(path) {
+    let states = new Set([0]);
+    for (const key of path) {
+      const nextStates = new Set();
+      for (const state of states) {
+        if (state === this.#segments.length) continue;
+        const segment = this.#segments[state];
+        if (segment.isDescendant) nextStates.add(state);
+        if (segment.key === WILDCARD || segment.key === key) nextStates.add(state + 1);
+      }
+      if (nextStates.size === 0) return nextStates;
+      states = nextStates;
+    }
+    return states;
+  }
+
+}
@@ -1,6 +1,7 @@
 // A lexer for JSON.
 
-import { SyntaxError } from './error.js';
+import { LimitError, SyntaxError } from './error.js';
+import { checkState, isLocation, isPlainObject } from './state.js';
 
 // The types of tokens emitted by the lexer.
 export const TOKEN_TYPE = {
@@ -13,7 +14,8 @@ export const TOKEN_TYPE = {
   'COMA': 7,
   'START_STRING': 8,
   'STRING_CHUNK': 9,
-  'END_STRING': 10
+  'END_STRING': 10,
+  'IDENTIFIER': 11  // Only in JSON5 mode
 };
 
 const TOKEN_TYPE_NAME = [
@@ -27,7 +29,8 @@ const TOKEN_TYPE_NAME = [
   ',',  // 7: COMA
   '"',  // 8: START_STRING
   'string chunk',  // 9: STRING_CHUNK
-  '"'  // 10: END_STRING
+  '"',  // 10: END_STRING
+  'identifier'  // 11: IDENTIFIER
 ];
 
 export function getTokenTypeName(tokenType) {
@@ -46,42 +49,194 @@ const ESCAPE_SEQUENCES = {
   't': '\t'
 };
 
+// Additional escape sequences in JSON5 mode. Line terminators after a backslash are line continuations.
+const JSON5_ESCAPE_SEQUENCES = {
+  ...ESCAPE_SEQUENCES,
+  '\'': '\'',
+  'v': '\v',
+  '0': '\0',
+  '\n': '',
+  '\r': '',
+  '\u2028': '',
+  '\u2029': ''
+};
+
+// Whitespace characters in JSON5 (in addition to those of JSON, which are handled separately).
+const JSON5_WHITESPACE = /^\s$/;
+
+// Identifiers (which may be used as property names in JSON5).
+const IDENTIFIER = /^[\p{L}\p{Nl}$_][\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200C\u200D]*$/u;
+
+// Literal values in JSON5 which are identifiers.
+const JSON5_KEYWORDS = new Set(['true', 'false', 'null', 'Infinity', 'NaN']);
+
+// Numbers in JSON5 (hexadecimal, or decimal without leading zeros and with optional leading or trailing decimal
+// point, Infinity, NaN).
+const JSON5_NUMBER = /^([+-]?)(Infinity|NaN|0[xX][0-9a-fA-F]+|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)$/;
+
+export function isIdentifierName(text) {
+  return IDENTIFIER.test(text);
+}
+
+// Convert a JSON5 number into a JavaScript number, or return null if text is not a valid JSON5 number.
+function parseJson5Number(text) {
+  const match = JSON5_NUMBER.exec(text);
+  if (!match) return null;
+  const number = Number(match[2]);
+  return match[1] === '-' ? -number : number;
+}
+
+// The maximum number of tokens lexed by a call to lex(), before they are handed to the parser.
+const MAX_BATCH_SIZE = 1024;
+
+// Runs of characters which are lexed in bulk: characters of literal values, and characters of strings other than
+// the quote, backslashes and line terminators (and control characters, in strict mode).
+const LITERAL_RUN = /[^{}[\],:" \t\r\n]+/y;
+const JSON5_LITERAL_RUN = /[^{}[\],:"'\/\s]+/y;
+const STRING_RUN = /[^"\\\r\n]+/y;
+const STRICT_STRING_RUN = /[^"\\\x00-\x1f]+/y;
+const SINGLE_QUOTED_STRING_RUN = /[^'\\\r\n]+/y;
+const STRICT_SINGLE_QUOTED_STRING_RUN = /[^'\\\x00-\x1f]+/y;
+
+// Return the end of the run of characters matching the sticky regular expression run in text, starting at start
+// and ending at end at most.
+function findRunEnd(run, text, start, end) {
+  run.lastIndex = start;
+  return run.test(text) ? Math.min(run.lastIndex, end) : start;
+}
+
+// Get the regular expression matching runs of characters in a string delimited by quote.
+function getStringRun(quote, strict) {
+  if (quote === '"') return strict ? STRICT_STRING_RUN : STRING_RUN;
+  return strict ? STRICT_SINGLE_QUOTED_STRING_RUN : SINGLE_QUOTED_STRING_RUN;
+}
+
 const MODE = {
   MAIN: 1,
   STRING: 2,
   ESCAPE_SEQUENCE: 3,
-  UNICODE_ESCAPE_SEQUENCE: 4
+  UNICODE_ESCAPE_SEQUENCE: 4,  // Also used for \x escape sequences in JSON5 mode.
+  // The following modes are only used in JSON5 mode.
+  COMMENT_START: 5,  // After a '/'
+  LINE_COMMENT: 6,
+  BLOCK_COMMENT: 7,
+  BLOCK_COMMENT_STAR: 8  // After a '*' in a block comment
 };
 
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+function isHexDigit(char) {
+  return isDigit(char) || (char >= 'a' && char <= 'f') || (char >= 'A' && char <= 'F');
+}
+
+// Return the index of the first character of text which does not follow the number grammar
+// from RFC 8259, or -1 if text is a valid number.
+function findNumberError(text) {
+  let index = 0;
+  if (text[index] === '-') ++index;
+  if (text[index] === '0') {
+    ++index;
+  } else if (text[index] >= '1' && text[index] <= '9') {
+    while (isDigit(text[index])) ++index;
+  } else {
+    return index;
+  }
+  if (text[index] === '.') {
+    ++index;
+    if (!isDigit(text[index])) return index;
+    while (isDigit(text[index])) ++index;
+  }
+  if (text[index] === 'e' || text[index] === 'E') {
+    ++index;
+    if (text[index] === '+' || text[index] === '-') ++index;
+    if (!isDigit(text[index])) return index;
+    while (isDigit(text[index])) ++index;
+  }
+  return index === text.length ? -1 : index;
+}
+
 function copyLocationTo(location1, location2) {
   location2.index = location1.index;
   location2.line = location1.line;
   location2.column = location1.column;
 }
 
-// A lexer for JSON strings. The input is given by calling push() (potentially multiple times)
-// and close() (once). Lexing happens incrementally, and tokens are pushed in .tokens as they are lexed.
-// Tokens are of the following type: {type: TOKEN_TYPE, value: string?}
-// Throw SyntaxError in case of error.
+// A lexer for JSON strings. The input is given by calling lex() (potentially multiple times), flush()
+// and close() (once). Lexing happens incrementally, and each call stores the lexed tokens in the token buffer
+// (tokenTypes, tokenValues, tokenTexts, and their locations given by getTokenLocation()).
+// Throw SyntaxError in case of error. The tokens lexed before the error are left in the token buffer.
 export class Lexer {
 
   // --------------------------------------------------------------------------------
   // The interface for the lexer.
 
-  constructor() {
+  // Options:
+  // * strict: if true, numbers, escape sequences and strings are checked against RFC 8259.
+  // * json5: if true, the JSON5 syntax is accepted. In this mode, the lexer emits IDENTIFIER tokens for
+  //   identifiers which are not literal values, and the parser is expected to accept them as property names.
+  // * repair: if true, close() repairs truncated input instead of throwing an error.
+  // * max_string_length, max_number_length, max_total_chars: the maximum length of strings, of literal values,
+  //   and of the input. A LimitError is thrown as soon as one of them is exceeded.
+  // * number: if 'string' or a function, numbers out of the range of JavaScript numbers (e.g. 1e400) are accepted,
+  //   as the parser converts them from their source text.
+  constructor(opt_options) {
+    this.#strict = Boolean(opt_options?.strict);
+    this.#json5 = Boolean(opt_options?.json5);
+    this.#repair = Boolean(opt_options?.repair);
+    this.#maxStringLength = opt_options?.max_string_length ?? Infinity;
+    this.#maxLiteralLength = opt_options?.max_number_length ?? Infinity;
+    this.#maxTotalChars = opt_options?.max_total_chars ?? Infinity;
+    this.#keepsNumberText = opt_options?.number === 'string' || typeof opt_options?.number === 'function';
+    this.#literalRun = this.#json5 ? JSON5_LITERAL_RUN : LITERAL_RUN;
     this.reset();
   }
 
-  // These fields are used as output for the lex, flush and close functions.
-  // The lexer can output zero, one or two tokens at a time. When there are two tokens,
-  // the first one is always a literal value.
+  // These fields are the token buffer, used as output for the lex, flush and close functions.
+  // tokenTexts contains the source text of literal values and identifiers.
   numberOfTokens = 0;
-  tokenTypes = [null, null];
-  tokenValues = [null, null];
+  tokenTypes = [];
+  tokenValues = [];
+  tokenTexts = [];
 
-  lex(char) {
+  // Lex the characters of text from start to end. Lexing stops earlier if the token buffer is full. If opt_depth
+  // is given, it is the number of arrays and objects which are open, and lexing also stops after the token which
+  // closes the outermost one (e.g. to find the end of a JSON value in a text).
+  // Return the index of the next character to lex.
+  lex(text, start, end, opt_depth) {
     this.numberOfTokens = 0;
-    this.#lex(char);
+    let index = start;
+    let depth = opt_depth;
+    // Runs of characters in literal values and strings are lexed in bulk, other characters one by one. Runs are
+    // not looked for when lexing a single character, as the regular expressions may scan text beyond end.
+    const hasRuns = end - start > 1;
+    while (index < end && this.numberOfTokens < MAX_BATCH_SIZE) {
+      const runEnd = hasRuns ? this.#lexRun(text, index, end) : index;
+      if (runEnd > index) {
+        index = runEnd;
+      } else {
+        const numberOfTokens = this.numberOfTokens;
+        this.#lex(text[index]);
+        ++index;
+        if (depth !== undefined && this.numberOfTokens > numberOfTokens) {
+          // Runs do not produce tokens, so the tokens changing the depth are all produced here.
+          for (let tokenIndex = numberOfTokens; tokenIndex < this.numberOfTokens; ++tokenIndex) {
+            const tokenType = this.tokenTypes[tokenIndex];
+            if (tokenType === TOKEN_TYPE.START_ARRAY || tokenType === TOKEN_TYPE.START_OBJECT) ++depth;
+            if (tokenType === TOKEN_TYPE.END_ARRAY || tokenType === TOKEN_TYPE.END_OBJECT) --depth;
+          }
+          if (depth === 0) break;
+        }
+      }
+    }
+    return index;
+  }
+
+  // Skip a character of input which is not part of the JSON text (only the location is updated).
+  skip(char) {
+    this.numberOfTokens = 0;
+    this.#updateLocation(char);
   }
 
   flush() {
@@ -89,30 +244,118 @@ export class Lexer {
     this.#flushString();
   }
 
+  // In repair mode, an unterminated string is closed and an invalid literal value is dropped instead
+  // of throwing an error. Return the kind of repair which has been done ('close_string' or 'drop_literal'),
+  // or null.
   close() {
     this.numberOfTokens = 0;
-    if (this.#mode !== MODE.MAIN) this.throwSyntaxError('Unterminated string');
+    if (this.#repair) return this.#closeAndRepair();
+    if (this.#isInString()) this.throwSyntaxError('Unterminated string');
+    if (this.#mode === MODE.COMMENT_START) this.throwSyntaxError('Unexpected character: /');
+    if (this.#mode === MODE.BLOCK_COMMENT || this.#mode === MODE.BLOCK_COMMENT_STAR) this.throwSyntaxError('Unterminated comment');
     this.#flushLiteral();
+    return null;
+  }
+
+  // Get a copy of the current location in the input stream.
+  getLocation() {
+    return {...this.#location};
   }
 
   reset() {
     this.#mode = MODE.MAIN;
     this.#stringBuffer = [];
+    this.#stringLength = 0;
     this.#literalBuffer = null;
     this.#unicodeBuffer = '';
+    this.#unicodeLength = 4;
+    this.#quote = '"';
+    this.#skipLineFeed = false;
     this.#location = {index: 0, line: 1, column: 0};
     this.#lastCharIsCR = false;
   }
 
+  // Get the state of the lexer as a plain object which can be serialized to JSON (see Parser.saveState()).
+  // The token buffer is not part of the state.
+  saveState() {
+    return {
+      mode: this.#mode,
+      stringBuffer: this.#stringBuffer.join(''),
+      stringLength: this.#stringLength,
+      unicodeBuffer: this.#unicodeBuffer,
+      unicodeLength: this.#unicodeLength,
+      quote: this.#quote,
+      skipLineFeed: this.#skipLineFeed,
+      literalBuffer: this.#literalBuffer,
+      location: {...this.#location},
+      lastLiteralStartLocation: {...this.#lastLiteralStartLocation},
+      lastCharIsCR: this.#lastCharIsCR
+    };
+  }
+
+  // Restore a state returned by saveState(). Throw an exception if the state is invalid.
+  restoreState(state) {
+    checkState(isPlainObject(state), 'lexer');
+    checkState(Object.values(MODE).includes(state.mode) && (this.#json5 || state.mode < MODE.COMMENT_START), 'lexer.mode');
+    checkState(typeof state.stringBuffer === 'string' && Number.isInteger(state.stringLength) &&
+      state.stringLength >= state.stringBuffer.length, 'lexer.stringBuffer');
+    checkState((state.unicodeLength === 4 || state.unicodeLength === 2) && typeof state.unicodeBuffer === 'string' &&
+      state.unicodeBuffer.length < state.unicodeLength, 'lexer.unicodeBuffer');
+    checkState(state.quote === '"' || state.quote === '\'', 'lexer.quote');
+    checkState(typeof state.skipLineFeed === 'boolean' && typeof state.lastCharIsCR === 'boolean', 'lexer.skipLineFeed');
+    checkState(state.literalBuffer === null || (typeof state.literalBuffer === 'string' && state.literalBuffer !== ''),
+      'lexer.literalBuffer');
+    checkState(isLocation(state.location) && isLocation(state.lastLiteralStartLocation), 'lexer.location');
+    this.#mode = state.mode;
+    this.#stringBuffer = state.stringBuffer ? [state.stringBuffer] : [];
+    this.#stringLength = state.stringLength;
+    this.#unicodeBuffer = state.unicodeBuffer;
+    this.#unicodeLength = state.unicodeLength;
+    this.#quote = state.quote;
+    this.#stringRun = getStringRun(state.quote, this.#strict);
+    this.#skipLineFeed = state.skipLineFeed;
+    this.#literalBuffer = state.literalBuffer;
+    this.#location = {...state.location};
+    this.#lastLiteralStartLocation = {...state.lastLiteralStartLocation};
+    this.#lastCharIsCR = state.lastCharIsCR;
+  }
+
   // --------------------------------------------------------------------------------
   // The implementation of the lexer.
 
+  // True if the input is checked against RFC 8259.
+  #strict;
+  // True if the JSON5 syntax is accepted.
+  #json5;
+  // True if truncated input is repaired when closing.
+  #repair;
+  // True if numbers are converted from their source text by the parser (option `number`).
+  #keepsNumberText;
   // The current mode of lexing.
   #mode;
+  // The regular expressions matching runs of characters in literal values and in the current string.
+  #literalRun;
+  #stringRun;
+  // The locations of the tokens in the token buffer.
+  #tokenIndexes = [];
+  #tokenLines = [];
+  #tokenColumns = [];
+  // The resource limits (options max_string_length, max_number_length and max_total_chars).
+  #maxStringLength;
+  #maxLiteralLength;
+  #maxTotalChars;
   // The buffer for accumulating string content while parsing a JSON string.
   #stringBuffer;
+  // The length of the current string.
+  #stringLength;
   // The buffer for accumulating characters in an unicode escape sequence within a string.
   #unicodeBuffer;
+  // The number of hexadecimal digits of the current unicode escape sequence (2 for \x in JSON5 mode).
+  #unicodeLength;
+  // The character terminating the current string (' is possible in JSON5 mode).
+  #quote;
+  // True if the last character was a \r terminating a line continuation (in JSON5 mode).
+  #skipLineFeed;
   // The buffer for accumulating literal values (true, false, null, or numbers).
   #literalBuffer;
   // The current location in the input stream
@@ -122,6 +365,14 @@ export class Lexer {
   // True if the last character was a \r.
   #lastCharIsCR;
 
+  // Get the location of a token in the token buffer (or the current location if tokenIndex is undefined).
+  // The location of literal values and identifiers is the one of their first character.
+  // The returned object must not be modified.
+  getTokenLocation(tokenIndex) {
+    if (tokenIndex === undefined) return this.#location;
+    return {index: this.#tokenIndexes[tokenIndex], line: this.#tokenLines[tokenIndex], column: this.#tokenColumns[tokenIndex]};
+  }
+
   throwSyntaxError(message, opt_arg) {
     let location;
     switch (typeof opt_arg) {
@@ -130,10 +381,8 @@ export class Lexer {
         break;
       case 'number':
         // opt_arg is the index of the token in the lexer buffer.
-        location = this.tokenTypes[opt_arg] === TOKEN_TYPE.LITERAL ? this.#lastLiteralStartLocation : this.#location;
-        break;
       case 'undefined':
-        location = this.#location;
+        location = this.getTokenLocation(opt_arg);
         break;
     }
     throw new SyntaxError(message, location);
@@ -147,34 +396,163 @@ export class Lexer {
       case 'true': return true;
       case 'false': return false;
       default:
-        const number = Number(this.#literalBuffer);
-        if (Number.isFinite(number)) return number;
+        if (this.#json5) {
+          const number = parseJson5Number(this.#literalBuffer);
+          if (number !== null) return number;
+        } else {
+          if (this.#strict && '-+.0123456789'.includes(this.#literalBuffer[0])) this.#checkNumber();
+          const number = Number(this.#literalBuffer);
+          if (Number.isFinite(number)) return number;
+          // Numbers out of range (e.g. 1e400) are only accepted if the parser uses their source text instead of
+          // their value (see the option `number`).
+          if (this.#keepsNumberText && !Number.isNaN(number) && isDigit(this.#literalBuffer.at(-1))) return number;
+        }
         this.throwSyntaxError('Unknown literal value: ' + this.#literalBuffer, this.#lastLiteralStartLocation);
     }
   }
 
-  #pushToken(type, opt_value, opt_location) {
-    this.tokenTypes[this.numberOfTokens] = type;
-    if (opt_value !== undefined) this.tokenValues[this.numberOfTokens] = opt_value;
-    ++this.numberOfTokens;
+  // Throw an error at the first invalid character if the literal buffer is not a valid number.
+  #checkNumber() {
+    const errorIndex = findNumberError(this.#literalBuffer);
+    if (errorIndex < 0) return;
+    // Literals do not contain new lines, so the location of the error is on the same line.
+    let location = {...this.#lastLiteralStartLocation};
+    location.index += errorIndex;
+    location.column += errorIndex;
+    this.throwSyntaxError('Invalid number: ' + this.#literalBuffer, location);
+  }
+
+  // opt_text is the source text of literal values and identifiers.
+  #pushToken(type, opt_value, opt_text) {
+    const isLiteral = type === TOKEN_TYPE.LITERAL || type === TOKEN_TYPE.IDENTIFIER;
+    const location = isLiteral ? this.#lastLiteralStartLocation : this.#location;
+    const tokenIndex = this.numberOfTokens++;
+    this.tokenTypes[tokenIndex] = type;
+    this.tokenValues[tokenIndex] = opt_value;
+    this.tokenTexts[tokenIndex] = opt_text;
+    this.#tokenIndexes[tokenIndex] = location.index;
+    this.#tokenLines[tokenIndex] = location.line;
+    this.#tokenColumns[tokenIndex] = location.column;
   }
 
   // Push a token for what is currently stored in the state, and reset the state.
   #flushLiteral() {
     if (this.#literalBuffer !== null) {
-      this.#pushToken(TOKEN_TYPE.LITERAL, this.#getLiteralBufferValue());
+      if (this.#json5 && !JSON5_KEYWORDS.has(this.#literalBuffer) && IDENTIFIER.test(this.#literalBuffer)) {
+        this.#pushToken(TOKEN_TYPE.IDENTIFIER, this.#literalBuffer, this.#literalBuffer);
+      } else {
+        this.#pushToken(TOKEN_TYPE.LITERAL, this.#getLiteralBufferValue(), this.#literalBuffer);
+      }
       this.#literalBuffer = null;
     }
   }
 
+  #closeAndRepair() {
+    if (this.#isInString()) {
+      // Drop the incomplete escape sequence, if any.
+      this.#unicodeBuffer = '';
+      this.#flushString(true);
+      this.#mode = MODE.MAIN;
+      return 'close_string';
+    }
+    // An unterminated comment is simply ignored.
+    this.#mode = MODE.MAIN;
+    try {
+      this.#flushLiteral();
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      this.#literalBuffer = null;
+      return 'drop_literal';
+    }
+    return null;
+  }
+
+  #isInString() {
+    return this.#mode === MODE.STRING || this.#mode === MODE.ESCAPE_SEQUENCE || this.#mode === MODE.UNICODE_ESCAPE_SEQUENCE;
+  }
+
+  // Start lexing a string delimited by quote.
+  #startString(quote) {
+    this.#flushLiteral();
+    this.#stringBuffer = [];
+    this.#stringLength = 0;
+    this.#quote = quote;
+    this.#stringRun = getStringRun(quote, this.#strict);
+    this.#mode = MODE.STRING;
+    this.#pushToken(TOKEN_TYPE.START_STRING);
+  }
+
   // Push a token for what is stored in the string buffer, and reset it.
   #flushString(opt_isEnd) {
-    if (this.#mode !== MODE.MAIN) {  // #mode === MODE.STRING || #mode === MODE.ESCAPE_SEQUENCE
+    if (this.#isInString()) {
       this.#pushToken(opt_isEnd ? TOKEN_TYPE.END_STRING : TOKEN_TYPE.STRING_CHUNK, this.#stringBuffer.join(''));
       this.#stringBuffer = [];
     }
   }
 
+  // Append some text to the current string.
+  #appendToString(text) {
+    this.#stringLength += text.length;
+    if (this.#stringLength > this.#maxStringLength) {
+      this.#throwLimitError(`String too long (max_string_length: ${this.#maxStringLength})`, 'max_string_length');
+    }
+    this.#stringBuffer.push(text);
+  }
+
+  #throwLimitError(message, limit) {
+    throw new LimitError(message, {...this.#location}, limit);
+  }
+
+  // Lex in bulk the run of characters of a literal value or a string starting at start, if any. Return the end
+  // of the run, or start if nothing has been lexed.
+  #lexRun(text, start, end) {
+    if (this.#mode === MODE.MAIN) {
+      const runEnd = findRunEnd(this.#literalRun, text, start, end);
+      if (runEnd > start && this.#lexLiteralRun(text, start, runEnd)) return runEnd;
+    } else if (this.#mode === MODE.STRING && !this.#skipLineFeed) {
+      const runEnd = findRunEnd(this.#stringRun, text, start, end);
+      if (runEnd > start && this.#lexStringRun(text, start, runEnd)) return runEnd;
+    }
+    return start;
+  }
+
+  // Lex a run of characters of a literal value, from start to end, which do not contain any line terminator.
+  // Return false if the run must be lexed character by character, so that an exceeded limit is reported at
+  // the right location.
+  #lexLiteralRun(text, start, end) {
+    const length = end - start;
+    if (this.#location.index + length > this.#maxTotalChars ||
+        (this.#literalBuffer === null ? 0 : this.#literalBuffer.length) + length > this.#maxLiteralLength) return false;
+    if (this.#literalBuffer === null) {
+      copyLocationTo(this.#location, this.#lastLiteralStartLocation);
+      ++this.#lastLiteralStartLocation.index;
+      ++this.#lastLiteralStartLocation.column;
+      this.#literalBuffer = text.slice(start, end);
+    } else {
+      this.#literalBuffer += text.slice(start, end);
+    }
+    this.#advanceLocation(length);
+    return true;
+  }
+
+  // Lex a run of characters of a string, from start to end, which do not contain any line terminator, nor any
+  // special character. Return false if the run must be lexed character by character (see #lexLiteralRun()).
+  #lexStringRun(text, start, end) {
+    const length = end - start;
+    if (this.#location.index + length > this.#maxTotalChars || this.#stringLength + length > this.#maxStringLength) return false;
+    this.#stringBuffer.push(text.slice(start, end));
+    this.#stringLength += length;
+    this.#advanceLocation(length);
+    return true;
+  }
+
+  // Update the location for some characters which are not line terminators.
+  #advanceLocation(length) {
+    this.#location.index += length;
+    this.#location.column += length;
+    this.#lastCharIsCR = false;
+  }
+
   #updateLocationForNewLine() {
     ++this.#location.line;
     this.#location.column = 0;
@@ -183,6 +561,9 @@ export class Lexer {
   #updateLocation(char) {
     ++this.#location.index;
     ++this.#location.column;
+    if (this.#location.index > this.#maxTotalChars) {
+      this.#throwLimitError(`Input too long (max_total_chars: ${this.#maxTotalChars})`, 'max_total_chars');
+    }
     switch (char) {
       case '\r':
         this.#updateLocationForNewLine();
@@ -210,10 +591,7 @@ export class Lexer {
         case ':': this.#flushLiteral(); this.#pushToken(TOKEN_TYPE.COLON); break;
         // Strings
         case '"':
-          this.#flushLiteral();
-          this.#stringBuffer = [];
-          this.#mode = MODE.STRING;
-          this.#pushToken(TOKEN_TYPE.START_STRING);
+          this.#startString(char);
           break;
         case ' ':
         case '\t':
@@ -222,52 +600,114 @@ export class Lexer {
           this.#flushLiteral();
           break;
         default:
+          if (this.#json5 && this.#lexJson5Character(char)) break;
           if (this.#literalBuffer === null) {
             copyLocationTo(this.#location, this.#lastLiteralStartLocation);
             this.#literalBuffer = char;
           } else {
             this.#literalBuffer += char;
+            if (this.#literalBuffer.length > this.#maxLiteralLength) {
+              this.#throwLimitError(`Literal value too long (max_number_length: ${this.#maxLiteralLength})`, 'max_number_length');
+            }
           }
           break;
       }
     } else if (this.#mode === MODE.STRING) {
       // In a string, outside of an escape sequence.
+      if (this.#skipLineFeed) {
+        this.#skipLineFeed = false;
+        if (char === '\n') return;
+      }
       switch (char) {
         case '\\':
           this.#mode = MODE.ESCAPE_SEQUENCE;
           break;
-        case '"':
+        case this.#quote:
           this.#flushString(true);
           this.#mode = MODE.MAIN;
           break;
         case '\n':
         case '\r':
         default:
-          this.#stringBuffer.push(char);
+          if (this.#strict && char < ' ') {
+            this.throwSyntaxError('Unescaped control character in string: U+' + char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'));
+          }
+          this.#appendToString(char);
           break;
       }
     } else if (this.#mode === MODE.ESCAPE_SEQUENCE) {
       // The first character of an escape sequence.
-      let str = ESCAPE_SEQUENCES[char];
-      if (str) {
-        this.#stringBuffer.push(str);
+      let str = (this.#json5 ? JSON5_ESCAPE_SEQUENCES : ESCAPE_SEQUENCES)[char];
+      if (str !== undefined) {
+        this.#appendToString(str);
+        this.#skipLineFeed = char === '\r';
         this.#mode = MODE.STRING;
-      } else if (char === 'u') {
+      } else if (char === 'u' || (this.#json5 && char === 'x')) {
+        this.#unicodeLength = char === 'u' ? 4 : 2;
         this.#mode = MODE.UNICODE_ESCAPE_SEQUENCE;
+      } else if (this.#json5 && !isDigit(char)) {
+        // In JSON5, other characters (except digits) are escaped as themselves.
+        this.#appendToString(char);
+        this.#mode = MODE.STRING;
       } else {
         this.throwSyntaxError('Illegal escape sequence: \\' + char);
       }
-    } else {  // this.#mode === MODE.UNICODE_ESCAPE_SEQUENCE
+    } else if (this.#mode === MODE.UNICODE_ESCAPE_SEQUENCE) {
       this.#unicodeBuffer += char;
-      if (this.#unicodeBuffer.length === 4) {
+      if ((this.#strict || this.#json5) && !isHexDigit(char)) this.#throwIllegalUnicodeEscapeSequence();
+      if (this.#unicodeBuffer.length === this.#unicodeLength) {
         const charCode = parseInt(this.#unicodeBuffer, 16);
         if (Number.isFinite(charCode)) {
-          this.#stringBuffer.push(String.fromCharCode(charCode));
+          this.#appendToString(String.fromCharCode(charCode));
+          this.#unicodeBuffer = '';
           this.#mode = MODE.STRING;
         } else {
-          this.throwSyntaxError('Illegal escape sequence: \\u' + this.#unicodeBuffer);
+          this.#throwIllegalUnicodeEscapeSequence();
         }
       }
+    } else {
+      this.#lexComment(char);
+    }
+  }
+
+  #throwIllegalUnicodeEscapeSequence() {
+    this.throwSyntaxError('Illegal escape sequence: \\' + (this.#unicodeLength === 4 ? 'u' : 'x') + this.#unicodeBuffer);
+  }
+
+  // Process a character outside of a string which is not special in JSON, but may be in JSON5.
+  // Return true if the character has been consumed.
+  #lexJson5Character(char) {
+    if (char === '\'') {
+      this.#startString(char);
+    } else if (char === '/') {
+      this.#flushLiteral();
+      this.#mode = MODE.COMMENT_START;
+    } else if (JSON5_WHITESPACE.test(char)) {
+      this.#flushLiteral();
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Process a character in a comment (JSON5 mode only).
+  #lexComment(char) {
+    switch (this.#mode) {
+      case MODE.COMMENT_START:
+        if (char === '/') this.#mode = MODE.LINE_COMMENT;
+        else if (char === '*') this.#mode = MODE.BLOCK_COMMENT;
+        else this.throwSyntaxError('Unexpected character: /');
+        break;
+      case MODE.LINE_COMMENT:
+        if (char === '\n' || char === '\r' || char === '\u2028' || char === '\u2029') this.#mode = MODE.MAIN;
+        break;
+      case MODE.BLOCK_COMMENT:
+        if (char === '*') this.#mode = MODE.BLOCK_COMMENT_STAR;
+        break;
+      case MODE.BLOCK_COMMENT_STAR:
+        if (char === '/') this.#mode = MODE.MAIN;
+        else if (char !== '*') this.#mode = MODE.BLOCK_COMMENT;
+        break;
     }
   }
 
@@ -0,0 +1,33 @@
+// Node.js stream interface for the parser. This module depends on Node.js built-in modules,
+// which is why it is not part of the main entry point.
+
+import { Transform } from 'node:stream';
+import { Parser, getResult } from './parser.js';
+
+// Create a Transform stream which takes text (or UTF-8 encoded buffers) and outputs, in object mode,
+// the same records as parse(), i.e. {root, events, done}.
+export function createParserTransform(opt_options) {
+  let parser = new Parser(opt_options);
+  return new Transform({
+    decodeStrings: false,
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      try {
+        parser.push(chunk);
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback(null, getResult(parser, opt_options, false));
+    },
+    flush(callback) {
+      try {
+        parser.close();
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback(null, getResult(parser, opt_options, true));
+    }
+  });
+}
@@ -1,7 +1,18 @@
 // A parser for JSON.
 
-import { SyntaxError } from './error.js';
-import { getTokenTypeName, Lexer, TOKEN_TYPE } from './lexer.js';
+import { LimitError, SyntaxError, ValidationError } from './error.js';
+import { JsonPath } from './jsonpath.js';
+import { getTokenTypeName, isIdentifierName, Lexer, TOKEN_TYPE } from './lexer.js';
+import { toJsonPointer } from './patch.js';
+import { getOwnProperty, setOwnProperty } from './property.js';
+import {
+  createPlaceholder, getChildSchema, validateArrayEnd, validateItemIndex, validateObjectEnd, validatePropertyName, validateScalar, validateType
+} from './schema.js';
+import { Snapshotter } from './snapshot.js';
+import {
+  checkState, copyValue, getOptionsFingerprint, isLocation, isPlainObject, serializeOptions, STATE_VERSION
+} from './state.js';
+import { Utf8Decoder } from './utf8.js';
 
 function CHECK(condition) {
   if (!condition) throw new Error('Assertion failed');
@@ -14,63 +25,261 @@ const PIECE = {
   COMA: 4
 };
 
+// Which part of a node is built into the root value, when the option `select` is set.
+const SELECTION = {
+  ALL: 1,  // The node is selected, it is fully built.
+  PARTIAL: 2,  // Some descendants of the node may be selected, only them are built.
+  NONE: 3  // Neither the node nor its descendants are selected, it is not built at all.
+};
+
+// The state of the scanning of the input in extraction mode (option `extract`).
+const EXTRACT_STATE = {
+  SCANNING: 1,  // Looking for the start of the JSON value.
+  FENCE_INFO: 2,  // In the info string of a code fence (e.g. "json" after "```").
+  LOCKED: 3,  // In the JSON value (this is the only state when the option is not set).
+  DONE: 4  // After the JSON value.
+};
+
+// Return true if the token starts a value.
+function isValueToken(tokenType) {
+  return tokenType === TOKEN_TYPE.LITERAL || tokenType === TOKEN_TYPE.START_OBJECT ||
+    tokenType === TOKEN_TYPE.START_ARRAY || tokenType === TOKEN_TYPE.START_STRING;
+}
+
 export class Parser {
 
-  #lexer = new Lexer();
+  #lexer;
   #events;
   #options;
   #hasPlaceholder;
+  // The compiled JSONPaths of the option `select`, or null.
+  #selectors;
+  // The compiled JSONPath of the option `stream_items`, or null.
+  #streamedArrays;
+  // The items released from streamed arrays, as {value, path}, since the last call to takeItems() (unless they
+  // are handed to the option `on_item`).
+  #items;
+  // The JSON Patch operations since the last call to takePatches() (option `track_patches`).
+  #patches;
+  // In multiple documents mode: the completed documents, as {value, index, line}, since the last call to
+  // takeDocuments(), the current document as {index, line} (or null between documents), and the number of
+  // completed documents.
+  #documents;
+  #document;
+  #documentCount;
+  // The callbacks registered by on(), as {path: JsonPath, callback, partial: boolean}.
+  #subscriptions = [];
+  // In immutable mode, the object producing snapshots, the last snapshot, and whether the value has been
+  // modified since then.
+  #snapshotter;
+  #snapshot;
+  #isModified;
+  // The repairs done by close(), as {path, kind} (option `repair`).
+  #repairs;
+  // The state of the scanning of the input (option `extract`), and the number of consecutive backticks.
+  #extractState;
+  #backtickCount;
+  // The decoder for byte input, created when the first chunk of bytes is received.
+  #decoder;
+  // The locations of the nodes, as {key: {start, end}, value: {start, end}} by JSON Pointer (option `track_locations`),
+  // and the location of the start of the current string.
+  #locations;
+  #stringStartLocation;
 
   // Options:
   // * include_incomplete_strings (bool|string): if not false, partially parsed strings are set
   //   after parsing each chunk. This option can be set to a string (e.g. "..."), in which case
   //   this string is appended at the end of partially parsed strings.
   // * track_events: if true, events are tracked when values are set. They are returned by takeEvents().
+  // * detailed_events: if true (with track_events), set events have the property value, and the following events
+  //   are also tracked: key (with the property key) when a property name is parsed, start_string, append (with the
+  //   property text, the characters added to the string since the previous event) and end_string for string values.
+  // * event_offsets: if true (with track_events), events have the property offset, which is the index in the input
+  //   of the character producing the event (the bracket, the quote or the first character of the literal; for
+  //   append events, the last character which has been parsed).
+  // * select (array of JSONPath strings): if set, only the nodes matching one of the selectors (and their
+  //   ancestors) are built into the root value. The other nodes are parsed but discarded (the items of arrays
+  //   which are not built are skipped, so that the built items are stored at consecutive indexes).
+  // * stream_items (JSONPath string): the items of the arrays matching this selector are removed from
+  //   the root value as soon as they are complete. They are returned by takeItems().
+  // * on_item (function): with stream_items, a function called as on_item(value, path) for each released item,
+  //   which is then not returned by takeItems().
+  // * multiple_documents: if true, the input may contain several root values (e.g. newline-delimited JSON).
+  //   They are returned by takeDocuments() as soon as they are complete.
+  // * strict: if true, the input is checked against RFC 8259 (number grammar, escape sequences, control
+  //   characters in strings, and presence of a root value).
+  // * json5: if true, the JSON5 syntax is accepted (comments, trailing comas, single-quoted strings,
+  //   unquoted property names, hexadecimal numbers, Infinity, NaN, etc.)
+  // * extract: if true, any text before the first '{' or '[' (e.g. prose and a markdown code fence) and after
+  //   the matching '}' or ']' is ignored.
+  // * repair: if true, close() repairs truncated input: open strings, arrays and objects are closed, and
+  //   dangling property names and incomplete literal values are dropped. The repairs are returned by getRepairs().
+  // * number ('number'|'bigint'|'string'|function): how numbers are converted. With 'bigint', integers which
+  //   are not safe integers are converted to BigInt. With 'string', numbers are returned as their source text.
+  //   A function is called as number(text, path) and returns the value. Numbers out of range (e.g. 1e400) are only
+  //   accepted with 'string' and functions. In any case, set events for numbers have the property raw, which
+  //   contains the source text of the number (raw is only set for numbers, as the source text of other values can
+  //   be recovered from their value).
+  // * reviver (function): called as reviver(key, value, path) on each value as soon as it is complete (bottom-up),
+  //   like the reviver of JSON.parse(). The returned value replaces the original one, and undefined deletes it.
+  // * immutable: if true, getValue() returns immutable snapshots of the value. Only the arrays and objects which
+  //   have been modified since the previous snapshot are new copies, the others keep their identity.
+  // * freeze: if true (with immutable), snapshots are frozen.
+  // * track_patches: if true, the changes of the root value are tracked as JSON Patch operations (RFC 6902,
+  //   with an additional 'append' operation for strings). They are returned by takePatches().
+  // * schema (JSON Schema): the values are validated against this schema as soon as they are parsed (see
+  //   schema.js for the supported keywords). A ValidationError is thrown at the first violation.
+  // * max_depth, max_string_length, max_number_length, max_keys_per_object, max_array_length, max_total_chars
+  //   (numbers): limits on the nesting depth of arrays and objects, the length of strings (including property names)
+  //   and of literal values, the number of properties of objects and of items of arrays, and the length of the input.
+  //   A LimitError is thrown as soon as one of them is exceeded.
+  // * null_prototype: if true, objects are created without prototype (with Object.create(null)).
+  // * reject_proto_keys: if true, the property names "__proto__" and "constructor" are rejected with a SyntaxError.
+  //   In any case, "__proto__" is set as an own property, as JSON.parse does, and does not change the prototype.
+  // * duplicate_keys ('last'|'first'|'error'|'collect'|function): what happens when an object has several properties
+  //   with the same name. With 'last' (default), the last value is kept, and with 'first', the first one. With
+  //   'error', a SyntaxError is thrown. With 'collect', the values are gathered into an array. A function is called
+  //   as duplicate_keys(previousValue, value, path) when the value of a duplicate property is complete, and returns
+  //   the value to keep. With 'collect' and a function, the value of a duplicate property is built on the side, and
+  //   the previous value is kept in the root value until it is complete.
+  // * track_locations: if true, the locations in the input of the keys and values of all nodes are recorded. They
+  //   are returned by getLocation(path).
+  // * placeholder_policy ('remove'|'keep'): what happens to the items and properties of the placeholder (see
+  //   setPlaceholder()) which are not in the input, when their array or object ends. By default, they are removed.
   constructor(opt_options) {
     this.#options = opt_options || {};
+    this.#lexer = new Lexer(this.#options);
+    this.#selectors = this.#options.select ? this.#options.select.map(selector => new JsonPath(selector)) : null;
+    this.#streamedArrays = this.#options.stream_items ? new JsonPath(this.#options.stream_items) : null;
     this.reset();
   }
 
   // --------------------------------------------------------------------------------
   // The interface for the parser.
 
-  // Append some text to the input string to be parsed.
+  // Append some text to the input string to be parsed. The text may also be given as UTF-8 encoded
+  // bytes (Uint8Array or Buffer), see pushBytes().
   push(text) {
-    const length = text.length;
-    for (let index = 0; index < length; ++index) {
-      this.#lexer.lex(text[index]);
+    if (typeof text !== 'string') {
+      this.pushBytes(text);
+      return;
+    }
+    try {
+      const length = text.length;
+      let index = 0;
+      while (index < length) {
+        if (this.#extractState !== EXTRACT_STATE.LOCKED && this.#skipCharacter(text[index])) {
+          ++index;
+        } else if (this.#options.extract) {
+          // In extraction mode, lexing stops at the end of the JSON value, so that the following text is skipped.
+          index = this.#lexAndParse(text, index, length, this.#stack.length - 1);
+        } else {
+          index = this.#lexAndParse(text, index, length);
+        }
+      }
+      this.#lexer.flush();
       this.#parse();
+      this.#includeIncompleteString();
+    } catch (error) {
+      throw this.#annotateError(error);
     }
-    this.#lexer.flush();
-    this.#parse();
-    this.#includeIncompleteString();
+  }
+
+  // Append some UTF-8 encoded bytes to the input to be parsed. Multi-byte sequences may be split across
+  // chunks, and a leading BOM is ignored.
+  pushBytes(bytes) {
+    this.#decoder ??= new Utf8Decoder();
+    this.push(this.#decoder.decode(bytes));
+    this.#throwSyntaxErrorIfDecodingFailed();
   }
 
   // End the parsing of the input string.
   close() {
-    this.#lexer.close();
-    this.#parse();
-    this.#throwSyntaxErrorIfStackIsNotEmpty();
+    if (this.#decoder) {
+      this.push(this.#decoder.end());
+      this.#throwSyntaxErrorIfDecodingFailed();
+    }
+    try {
+      if (this.#options.repair) {
+        this.#closeAndRepair();
+        return;
+      }
+      this.#lexer.close();
+      this.#parse();
+      this.#throwSyntaxErrorIfStackIsNotEmpty();
+      if (this.#options.strict && !this.#options.multiple_documents && this.#stack[0].isEmpty) {
+        this.#throwSyntaxError('Unexpected end of input');
+      }
+    } catch (error) {
+      throw this.#annotateError(error);
+    }
   }
 
   // Reset the parser to its initial state so that a new input string can be parsed.
   reset() {
     this.#lexer.reset();
     this.#events = [];
+    this.#items = [];
+    this.#patches = [];
+    this.#documents = [];
+    this.#document = null;
+    this.#documentCount = 0;
     this.#hasPlaceholder = false;
-    this.#stack = [{isArray: true, value: [], key: 0, expectedPiece: PIECE.VALUE, isEmpty: true}];
+    this.#decoder = null;
+    this.#snapshotter = this.#options.immutable ? new Snapshotter({freeze: this.#options.freeze}) : null;
+    this.#snapshot = undefined;
+    this.#isModified = false;
+    this.#repairs = [];
+    this.#extractState = this.#options.extract ? EXTRACT_STATE.SCANNING : EXTRACT_STATE.LOCKED;
+    this.#backtickCount = 0;
+    this.#locations = this.#options.track_locations ? new Map() : null;
+    this.#stringStartLocation = null;
+    this.#stack = [{
+      isArray: true, value: [], key: 0, expectedPiece: PIECE.VALUE, isEmpty: true,
+      selection: this.#selectors ? SELECTION.PARTIAL : SELECTION.ALL, offset: 0, isStreamed: false}];
+    this.#pendingDuplicateCount = 0;
     this.#stringBuffer = null;
+    this.#isStringDiscarded = false;
   }
 
   // Set a placeholder for the root value. Must be called before parsing starts.
   setPlaceholder(placeholder) {
     if (this.#stack.length !== 1 || this.#stack[0].value.length !== 0) throw 'Cannot set placeholder after starting parsing.';
+    if (this.#options.track_patches) this.#pushPatch({op: 'add', path: '', value: structuredClone(placeholder)});
     this.#stack[0].value[0] = placeholder;
     this.#hasPlaceholder = true;
+    this.#isModified = true;
+  }
+
+  // Set a placeholder for the root value, generated from a JSON schema (by default, the option `schema`).
+  // Must be called before parsing starts.
+  setPlaceholderFromSchema(opt_schema) {
+    this.setPlaceholder(createPlaceholder(opt_schema ?? this.#options.schema));
   }
 
   // Get the root value which has been parsed so far.
-  getValue() { return this.#stack[0].value[0]; }
+  // In immutable mode, a new snapshot is returned if the value has been modified since the last call.
+  getValue() {
+    if (!this.#snapshotter) return this.#stack[0].value[0];
+    if (this.#isModified) {
+      this.#snapshot = this.#snapshotter.snapshot(this.#stack[0].value[0]);
+      this.#isModified = false;
+    }
+    return this.#snapshot;
+  }
+
+  // Get the current location in the input stream, as {index, line, column}.
+  getInputLocation() { return this.#lexer.getLocation(); }
+
+  // Get the locations in the input of the node at path (an array of property names and indexes, as in events),
+  // as {key: {start, end}, value: {start, end}}, where start and end are the locations of the first and last
+  // characters. key is only set for properties of objects, and value.end is null until the value is complete.
+  // Return undefined if the node has not been parsed (yet), or if it has been released from a streamed array.
+  // Requires the option `track_locations`.
+  getLocation(path) {
+    if (!this.#locations) throw 'Locations are not tracked.';
+    return this.#locations.get(toJsonPointer(path));
+  }
 
   // Get the events generated by the parser since the last call to this method.
   takeEvents() {
@@ -80,45 +289,569 @@ export class Parser {
     return events;
   }
 
+  // Get the repairs done by close() (option `repair`), as {path, kind}, where kind is one of 'close_string',
+  // 'drop_literal', 'drop_key', 'drop_comma', 'close_array' and 'close_object'.
+  getRepairs() {
+    if (!this.#options.repair) throw 'Repair is not enabled.';
+    return this.#repairs;
+  }
+
+  // Get the JSON Patch operations (RFC 6902) describing the changes of the root value since the last call
+  // to this method. See applyPatch() in patch.js.
+  takePatches() {
+    if (!this.#options.track_patches) throw 'Patches are not tracked.';
+    const patches = this.#patches;
+    this.#patches = [];
+    return patches;
+  }
+
+  // Get the items released from streamed arrays since the last call to this method, as {value, path}.
+  takeItems() {
+    if (!this.#streamedArrays) throw 'Items are not streamed.';
+    const items = this.#items;
+    this.#items = [];
+    return items;
+  }
+
+  // Get the documents completed since the last call to this method, as {value, index, line}, where index
+  // is the index of the document in the input, and line its starting line.
+  takeDocuments() {
+    if (!this.#options.multiple_documents) throw 'Multiple documents are not enabled.';
+    const documents = this.#documents;
+    this.#documents = [];
+    return documents;
+  }
+
+  // Register a callback which is called as callback(value, path) each time a node matching the JSONPath
+  // selector (e.g. '$.items[*]' or '$..name') is complete. If opt_options.partial is true, the callback is
+  // also called each time the node is updated. Return a function which unregisters the callback.
+  on(selector, callback, opt_options) {
+    const subscription = {path: new JsonPath(selector), callback, partial: Boolean(opt_options?.partial)};
+    this.#subscriptions = [...this.#subscriptions, subscription];
+    return () => { this.#subscriptions = this.#subscriptions.filter(item => item !== subscription); };
+  }
+
+  // Get the state of the parser as a plain object which can be serialized to JSON, so that parsing can be resumed
+  // later, possibly in another process, by Parser.fromState(). The state includes the value parsed so far, and the
+  // events, items, documents and patches which have not been taken yet, but not the callbacks registered by on().
+  // Throw an exception if the value contains values which cannot be serialized (e.g. BigInt or Infinity).
+  // Must not be called from a callback (e.g. reviver).
+  saveState() {
+    return {
+      version: STATE_VERSION,
+      ...serializeOptions(this.#options),
+      lexer: this.#lexer.saveState(),
+      decoder: this.#decoder ? this.#decoder.saveState() : null,
+      value: copyValue(this.#stack[0].value),
+      stack: this.#stack.map(context => this.#saveContext(context)),
+      stringBuffer: this.#stringBuffer === null ? null : this.#stringBuffer.join(''),
+      isStringDiscarded: this.#isStringDiscarded,
+      stringStartLocation: this.#stringStartLocation && {...this.#stringStartLocation},
+      hasPlaceholder: this.#hasPlaceholder,
+      extractState: this.#extractState,
+      backtickCount: this.#backtickCount,
+      document: this.#document && {...this.#document},
+      documentCount: this.#documentCount,
+      events: copyValue(this.#events),
+      items: copyValue(this.#items),
+      documents: copyValue(this.#documents),
+      patches: copyValue(this.#patches),
+      repairs: copyValue(this.#repairs),
+      locations: this.#locations ? copyValue([...this.#locations]) : null
+    };
+  }
+
+  // Create a parser resuming parsing from a state returned by saveState(). The parser has the options of the saved
+  // parser. As functions cannot be serialized, the options must be given again as opt_options if some of them are
+  // functions (e.g. reviver), and they must be the same as the saved ones. Throw an exception if the state is
+  // invalid, or has been saved by an incompatible version of the parser.
+  static fromState(state, opt_options) {
+    checkState(isPlainObject(state), 'not an object');
+    if (state.version !== STATE_VERSION) throw `Unsupported parser state version: ${state.version}.`;
+    checkState(isPlainObject(state.options) && Array.isArray(state.functionOptions), 'options');
+    const savedOptions = {options: state.options, functionOptions: state.functionOptions};
+    if (opt_options) {
+      if (getOptionsFingerprint(serializeOptions(opt_options)) !== getOptionsFingerprint(savedOptions)) {
+        throw 'The options differ from those of the saved parser.';
+      }
+    } else if (state.functionOptions.length) {
+      throw `The options must be given to restore the parser state, as they contain functions (${state.functionOptions.join(', ')}).`;
+    }
+    let parser = new Parser(opt_options ?? copyValue(state.options));
+    parser.#restoreState(state);
+    return parser;
+  }
+
   // --------------------------------------------------------------------------------
   // The implementation for the parser.
 
   // A stack of contexts designating the current node of the root value being set.
   // Possible stack values:
-  // * {isArray: true, value: [...], key: <number>, expectedPiece: <PIECE>, isEmpty: <boolean> }
+  // * {isArray: true, value: [...], key: <number>, expectedPiece: <PIECE>, isEmpty: <boolean>, selection: <SELECTION>,
+  //    offset: <number>, isStreamed: <boolean>, schema: <JSON Schema> }
   //   key is the index of the value array to be set. if key == value.length, a value is expected,
-  //   if key < value.length, a coma is expected.
-  // * {isArray: false, value: {...}, key: <string>, expectedPiece: <PIECE>, isEmpty: <boolean>, propertyNames: <Set<string>>}
+  //   if key < value.length, a coma is expected. offset is the number of items which have been released
+  //   from the array (if isStreamed) or skipped (option `select`), so that the item of index key is stored at
+  //   value[key - offset].
+  // * {isArray: false, value: {...}, key: <string>, expectedPiece: <PIECE>, isEmpty: <boolean>, selection: <SELECTION>,
+  //    propertyNames: <Set<string>>, numberOfKeys: <number>, schema: <JSON Schema>, isDuplicate: <boolean>,
+  //    builtValue: <object>, collectedValues: <Map<string, array>>}
+  // value is null if selection is SELECTION.NONE. schema is the schema of the array or object (option `schema`).
+  // propertyNames is only set if it is needed (with a placeholder, a schema or the option duplicate_keys).
+  // isDuplicate is true if the current key is a duplicate property name. With the option duplicate_keys set to
+  // 'collect' or a function, value is then a temporary object holding the value of the duplicate property while
+  // it is parsed, and builtValue is the object being built (otherwise, builtValue is null). collectedValues are
+  // the values gathered for each duplicate property name (with the option duplicate_keys set to 'collect').
   #stack;
+  // The number of objects in the stack whose builtValue is set. The root value is not modified while it is not 0.
+  #pendingDuplicateCount;
   #stringBuffer;
+  // True if the string being parsed is a value which is not built into the root value.
+  #isStringDiscarded;
 
   #throwSyntaxError(message, tokenIndex) { this.#lexer.throwSyntaxError(message, tokenIndex); }
-  #throwUnexpectedTokenError(tokenType) { this.#throwSyntaxError(`Unexpected token: "${getTokenTypeName(tokenType)}"`); }
+  #throwUnexpectedTokenError(tokenType, tokenIndex) {
+    this.#throwSyntaxError(`Unexpected token: "${getTokenTypeName(tokenType)}"`, tokenIndex);
+  }
+
+  // The following methods implement the option `track_locations`. They record the locations of the current node.
+
+  #recordKeyLocation(tokenIndex) {
+    const start = this.#lexer.tokenTypes[tokenIndex] === TOKEN_TYPE.END_STRING ?
+      this.#stringStartLocation : {...this.#lexer.getTokenLocation(tokenIndex)};
+    // Any previous entry is replaced, in case of duplicate property names.
+    this.#locations.set(toJsonPointer(this.#getPath()), {key: {start, end: this.#getTokenEndLocation(tokenIndex)}});
+  }
+
+  #recordValueStart(tokenIndex) {
+    const pointer = toJsonPointer(this.#getPath());
+    let entry = this.#locations.get(pointer);
+    if (!entry || this.#stack.at(-1).isArray) {
+      entry = {};
+      this.#locations.set(pointer, entry);
+    }
+    entry.value = {start: {...this.#lexer.getTokenLocation(tokenIndex)}, end: null};
+  }
+
+  #recordValueEnd(tokenIndex) {
+    this.#locations.get(toJsonPointer(this.#getPath())).value.end = this.#getTokenEndLocation(tokenIndex);
+  }
+
+  // Get the location of the last character of a token.
+  #getTokenEndLocation(tokenIndex) {
+    const location = {...this.#lexer.getTokenLocation(tokenIndex)};
+    const tokenType = this.#lexer.tokenTypes[tokenIndex];
+    if (tokenType === TOKEN_TYPE.LITERAL || tokenType === TOKEN_TYPE.IDENTIFIER) {
+      // Literal values and identifiers are on a single line.
+      location.index += this.#lexer.tokenTexts[tokenIndex].length - 1;
+      location.column += this.#lexer.tokenTexts[tokenIndex].length - 1;
+    }
+    return location;
+  }
 
-  #setIncompleteValue(context, value, tokenIndex) {
+  // Throw a LimitError for the current node. limit is the name of the option.
+  #throwLimitError(message, limit, tokenIndex) {
+    throw new LimitError(
+      `${message} (${limit}: ${this.#options[limit]})`, {...this.#lexer.getTokenLocation(tokenIndex)}, limit, this.#getPath());
+  }
+
+  // The following methods implement the option `schema`. They throw a ValidationError for the current node if
+  // it does not match the schema.
+
+  #checkValidation(message, tokenIndex) {
+    if (message !== null) throw new ValidationError(message, {...this.#lexer.getTokenLocation(tokenIndex)}, this.#getPath());
+  }
+
+  // Get the schema of the current node, whose parent is context.
+  #getChildSchema(context) {
+    return context === this.#stack[0] ? this.#options.schema : getChildSchema(context.schema, context.key);
+  }
+
+  // Check the current node, whose parent is context, when it begins. typeName is 'array', 'object' or 'string'.
+  #validateNodeStart(context, typeName, tokenIndex) {
+    this.#validateItemIndex(context, tokenIndex);
+    this.#checkValidation(validateType(this.#getChildSchema(context), typeName), tokenIndex);
+  }
+
+  #validateItemIndex(context, tokenIndex) {
+    if (context.isArray && context !== this.#stack[0]) this.#checkValidation(validateItemIndex(context.schema, context.key), tokenIndex);
+  }
+
+  // Set the value of the current node. opt_selection is the selection of the node if it is an array or an object.
+  #setIncompleteValue(context, value, tokenIndex, opt_selection) {
     if (context.expectedPiece !== PIECE.VALUE) this.#throwSyntaxError(`Unexpected value`, tokenIndex);
-    context.value[context.key] = value;
+    if (context.isArray && context.key >= this.#options.max_array_length && context !== this.#stack[0]) {
+      this.#throwLimitError('Too many items', 'max_array_length', tokenIndex);
+    }
+    const selection = opt_selection ?? this.#getChildSelection(context);
+    if (selection === SELECTION.ALL || (selection === SELECTION.PARTIAL && opt_selection)) this.#write(context, this.#getSlot(context), value);
     context.isEmpty = false;
   }
 
-  #pushEvent(type) {
-    if (this.#options.track_events) {
-      this.#events.push({
-        type,
-        path: this.#stack.slice(1).map(context => context.key)
-      });
+  // Set the value of the current node from a literal token, converting numbers according to the option `number`.
+  #setLiteralValue(context, tokenIndex) {
+    let value = this.#lexer.tokenValues[tokenIndex];
+    if (typeof value !== 'number') {
+      this.#setValue(value, tokenIndex);
+      return;
+    }
+    const raw = this.#lexer.tokenTexts[tokenIndex];
+    switch (this.#options.number) {
+      case undefined:
+      case 'number':
+        break;
+      case 'bigint':
+        if (!Number.isSafeInteger(value) && /^-?\d+$/.test(raw)) value = BigInt(raw);
+        break;
+      case 'string':
+        value = raw;
+        break;
+      default:
+        // The value is only checked here, so that the callback is not called for unexpected values.
+        if (context.expectedPiece !== PIECE.VALUE) this.#throwSyntaxError(`Unexpected value`, tokenIndex);
+        value = this.#options.number(raw, this.#getPath());
+    }
+    this.#setValue(value, tokenIndex, undefined, raw);
+  }
+
+  // The following methods are used for all modifications of the root value, where slot is an index
+  // (for arrays) or a property name (for objects) in context.value.
+
+  #write(context, slot, value) {
+    if (this.#options.track_patches && !this.#pendingDuplicateCount) this.#pushWritePatch(context, slot, value);
+    setOwnProperty(context.value, slot, value);
+    this.#markModified();
+  }
+
+  #delete(context, slot) {
+    if (this.#options.track_patches && !this.#pendingDuplicateCount) this.#pushPatch({op: 'remove', path: this.#getPointer(context, slot)});
+    delete context.value[slot];
+    this.#markModified();
+  }
+
+  #truncate(context, length) {
+    if (this.#options.track_patches && !this.#pendingDuplicateCount) {
+      for (let index = context.value.length - 1; index >= length; --index) {
+        this.#pushPatch({op: 'remove', path: this.#getPointer(context, index)});
+      }
+    }
+    context.value.length = length;
+    this.#markModified();
+  }
+
+  // Get the JSON Pointer to slot in context.value (which must be at the top of the stack), as stored
+  // in the root value (which differs from the path in events for streamed arrays).
+  #getPointer(context, slot) {
+    if (this.#stack.length === 1) return '';
+    let path = [];
+    for (let depth = 1; depth < this.#stack.length - 1; ++depth) path.push(this.#getSlot(this.#stack[depth]));
+    path.push(slot);
+    return toJsonPointer(path);
+  }
+
+  #pushWritePatch(context, slot, value) {
+    const path = this.#getPointer(context, slot);
+    const isRoot = this.#stack.length === 1;
+    const exists = isRoot ? context.value.length > 0 : Object.hasOwn(context.value, slot);
+    const oldValue = getOwnProperty(context.value, slot);
+    if (typeof value === 'string' && typeof oldValue === 'string' && value.length > oldValue.length && value.startsWith(oldValue)) {
+      this.#pushPatch({op: 'append', path, value: value.slice(oldValue.length)});
+    } else {
+      // Arrays and objects are copied, as they are modified in place later.
+      this.#pushPatch({op: exists ? 'replace' : 'add', path, value: typeof value === 'object' ? structuredClone(value) : value});
+    }
+  }
+
+  // Add an operation to the patch, merging it with the previous operation if they are on the same path.
+  #pushPatch(operation) {
+    const lastOperation = this.#patches.at(-1);
+    if (lastOperation?.path === operation.path && lastOperation.op !== 'remove' && typeof lastOperation.value !== 'object') {
+      if (operation.op === 'append') {
+        lastOperation.value += operation.value;
+        return;
+      }
+      // A replacement after an append is not merged, as the append operation would then append the new value.
+      if (operation.op === 'replace' && lastOperation.op !== 'append') {
+        lastOperation.value = operation.value;
+        return;
+      }
+    }
+    this.#patches.push(operation);
+  }
+
+  // In immutable mode, mark the node being modified (at the top of the stack) and its ancestors.
+  #markModified() {
+    if (!this.#snapshotter || this.#pendingDuplicateCount) return;
+    this.#isModified = true;
+    for (let depth = this.#stack.length - 1; depth > 0; --depth) {
+      const value = this.#stack[depth].value;
+      if (value === null || !this.#snapshotter.markModified(value)) break;
+    }
+  }
+
+  // Get the selection of the current node, whose parent is context.
+  #getChildSelection(context) {
+    // With the option duplicate_keys set to 'first', the values of duplicate properties are discarded.
+    if (context.isDuplicate && this.#options.duplicate_keys === 'first') return SELECTION.NONE;
+    if (context.selection !== SELECTION.PARTIAL) return context.selection;
+    const path = this.#getPath();
+    if (this.#selectors.some(selector => selector.matches(path))) return SELECTION.ALL;
+    if (this.#selectors.some(selector => selector.matchesDescendant(path))) return SELECTION.PARTIAL;
+    return SELECTION.NONE;
+  }
+
+  // Get the path of the current node.
+  #getPath() {
+    return this.#stack.slice(1).map(context => context.key);
+  }
+
+  // Push a begin, set or end event for the current node. tokenIndex is the index of the token producing the event.
+  // opt_properties are additional properties of the event (e.g. value and raw for set events).
+  #pushEvent(type, tokenIndex, opt_properties) {
+    if (this.#options.track_events || this.#subscriptions.length) {
+      const path = this.#getPath();
+      if (this.#options.track_events) this.#recordEvent(type, path, tokenIndex, opt_properties);
+      if (this.#subscriptions.length) this.#notifySubscriptions(path, type);
+    }
+  }
+
+  // Push an event which is only tracked with the option `detailed_events` (key, start_string, append, end_string).
+  #pushDetailedEvent(type, tokenIndex, opt_properties) {
+    if (this.#options.track_events && this.#options.detailed_events) {
+      this.#recordEvent(type, this.#getPath(), tokenIndex, opt_properties);
+    }
+  }
+
+  #recordEvent(type, path, tokenIndex, opt_properties) {
+    let event = {type, path, ...opt_properties};
+    if (this.#options.multiple_documents) event.document = this.#document;
+    if (this.#options.event_offsets) event.offset = this.#lexer.getTokenLocation(tokenIndex).index - 1;
+    this.#events.push(event);
+  }
+
+  // Call the callbacks of the subscriptions matching the path of the node that has just been updated, where type
+  // is the type of the event for the update (begin, set, end, or append for incomplete strings). Callbacks for
+  // partial updates are also called for the ancestors of the node. Nodes which are not built are skipped.
+  #notifySubscriptions(path, type) {
+    const isComplete = type === 'set' || type === 'end';
+    const isArrayOrObject = type === 'begin' || type === 'end';
+    for (const subscription of this.#subscriptions) {
+      if (subscription.partial) {
+        for (let length = 0; length <= path.length; ++length) {
+          const prefix = path.slice(0, length);
+          if (subscription.path.matches(prefix) && this.#isBuiltAtDepth(length, isArrayOrObject)) {
+            subscription.callback(this.#getValueAtDepth(length), prefix);
+          }
+        }
+      } else if (isComplete && subscription.path.matches(path) && this.#isBuiltAtDepth(path.length, isArrayOrObject)) {
+        subscription.callback(this.#getValueAtDepth(path.length), path.slice());
+      }
     }
   }
 
-  #setValue(value, tokenIndex) {
+  // Return true if the node at the given depth on the path of the current node is built into the root value.
+  // isArrayOrObject is true if the current node is an array or an object.
+  #isBuiltAtDepth(depth, isArrayOrObject) {
+    if (depth < this.#stack.length - 1) return this.#stack[depth + 1].value !== null;
+    return this.#isChildBuilt(this.#stack[depth], isArrayOrObject);
+  }
+
+  // Return true if the current node, whose parent is context, is built into the root value: with the option
+  // `select`, scalar values are only built if they are selected.
+  #isChildBuilt(context, isArrayOrObject) {
+    const selection = this.#getChildSelection(context);
+    return selection === SELECTION.ALL || (selection === SELECTION.PARTIAL && isArrayOrObject);
+  }
+
+  // Get the value of the node at the given depth on the path of the current node.
+  #getValueAtDepth(depth) {
+    return this.#getValue(this.#stack[depth]);
+  }
+
+  // Set the value of the current node. opt_selection is the selection of the node if it is an array or an object.
+  // opt_raw is the source text of the value, if it is a number.
+  #setValue(value, tokenIndex, opt_selection, opt_raw) {
     let context = this.#stack.at(-1);
-    this.#setIncompleteValue(context, value, tokenIndex);
+    this.#setIncompleteValue(context, value, tokenIndex, opt_selection);
     context.expectedPiece = PIECE.COMA;
-    this.#pushEvent(typeof value === 'object' ? 'begin' : 'set');
+    if (this.#locations) {
+      // The start of strings is recorded by #parse().
+      if (opt_selection || this.#lexer.tokenTypes[tokenIndex] === TOKEN_TYPE.LITERAL) this.#recordValueStart(tokenIndex);
+      if (!opt_selection) this.#recordValueEnd(tokenIndex);
+    }
+    if (this.#options.schema !== undefined) {
+      if (opt_selection) {
+        this.#validateNodeStart(context, this.#lexer.tokenTypes[tokenIndex] === TOKEN_TYPE.START_ARRAY ? 'array' : 'object', tokenIndex);
+      } else {
+        this.#validateItemIndex(context, tokenIndex);
+        // Numbers are checked before their conversion according to the option `number`.
+        const checkedValue = opt_raw === undefined ? value : this.#lexer.tokenValues[tokenIndex];
+        this.#checkValidation(validateScalar(this.#getChildSchema(context), checkedValue), tokenIndex);
+      }
+    }
+    if (opt_selection) {
+      this.#pushEvent('begin', tokenIndex);
+    } else {
+      let properties = this.#options.detailed_events ? {value} : {};
+      if (opt_raw !== undefined) properties.raw = opt_raw;
+      this.#reviveValue(context, false);
+      this.#resolveDuplicateKey(context, false);
+      this.#pushEvent('set', tokenIndex, properties);
+      this.#completeValue(context, false);
+    }
+  }
+
+  // Apply the option `reviver` to the value of the current key of context, which has just been completed.
+  #reviveValue(context, isArrayOrObject) {
+    if (!this.#options.reviver || !this.#isChildBuilt(context, isArrayOrObject)) return;
+    const slot = this.#getSlot(context);
+    const isRoot = this.#stack.length === 1;
+    const holder = isRoot ? {'': context.value[slot]} : context.value;
+    const key = isRoot ? '' : String(context.key);
+    const value = this.#options.reviver.call(holder, key, context.value[slot], this.#getPath());
+    if (value === undefined) {
+      this.#delete(context, slot);
+    } else if (value !== context.value[slot]) {
+      this.#write(context, slot, value);
+    }
+  }
+
+  // In extraction mode, process a character outside of the JSON value. Return true if the character is skipped.
+  #skipCharacter(char) {
+    switch (this.#extractState) {
+      case EXTRACT_STATE.SCANNING:
+        if (char === '{' || char === '[') {
+          this.#extractState = EXTRACT_STATE.LOCKED;
+          return false;
+        }
+        if (char === '`') {
+          ++this.#backtickCount;
+        } else {
+          if (this.#backtickCount >= 3 && char !== '\n') this.#extractState = EXTRACT_STATE.FENCE_INFO;
+          this.#backtickCount = 0;
+        }
+        break;
+      case EXTRACT_STATE.FENCE_INFO:
+        if (char === '\n') this.#extractState = EXTRACT_STATE.SCANNING;
+        break;
+    }
+    this.#lexer.skip(char);
+    return true;
+  }
+
+  // To be called when the value of the current key of context is complete. isArrayOrObject is true if the value
+  // is an array or an object.
+  #completeValue(context, isArrayOrObject) {
+    if (this.#options.extract && this.#stack.length === 1) {
+      // Look for the next value in multiple documents mode.
+      this.#extractState = this.#options.multiple_documents ? EXTRACT_STATE.SCANNING : EXTRACT_STATE.DONE;
+    }
+    if (context.isStreamed) {
+      this.#releaseItem(context);
+    } else if (context.isArray && context.selection === SELECTION.PARTIAL && context !== this.#stack[0] &&
+        !this.#isChildBuilt(context, isArrayOrObject)) {
+      // The items which are not built are skipped, so that the array is not sparse.
+      ++context.offset;
+    } else if (this.#options.reviver && context.isArray && context !== this.#stack[0] && context.value !== null &&
+        !Object.hasOwn(context.value, this.#getSlot(context))) {
+      // The hole left by an item deleted by the reviver is removed, so that the following items are shifted, as
+      // with the remove operation of patches (which has been pushed by #delete()).
+      context.value.splice(this.#getSlot(context), 1);
+      ++context.offset;
+    } else if (this.#options.multiple_documents && this.#stack.length === 1) {
+      this.#documents.push({value: this.#getValue(context), ...this.#document});
+      this.#document = null;
+      ++this.#documentCount;
+    }
+  }
+
+  // In multiple documents mode, to be called when a value starts at the root level.
+  #beginDocument(context, tokenIndex) {
+    if (context.expectedPiece === PIECE.COMA) {
+      // The previous document is complete.
+      this.#locations?.clear();
+      context.value = [];
+      this.#isModified = true;
+      context.expectedPiece = PIECE.VALUE;
+      context.isEmpty = true;
+    }
+    this.#document = {index: this.#documentCount, line: this.#lexer.getTokenLocation(tokenIndex).line};
+  }
+
+  // In multiple documents mode, add to a SyntaxError the document in which it occurred.
+  #annotateError(error) {
+    if (error instanceof LimitError && error.path === undefined) {
+      // Limit errors thrown by the lexer do not have a path. In a property name, the path of the object is used.
+      const path = this.#getPath();
+      error.path = this.#stack.at(-1).expectedPiece === PIECE.PROPERTY_NAME ? path.slice(0, -1) : path;
+    }
+    if (this.#options.multiple_documents && error instanceof SyntaxError) {
+      error.document = this.#document ?? {index: this.#documentCount, line: error.location.line};
+    }
+    return error;
   }
 
   #getValue(context) {
-    return context.value[context.key];
+    return context.value === null ? undefined : getOwnProperty(context.value, this.#getSlot(context));
+  }
+
+  // Get the index or the property name where the value for the current key of context is stored.
+  #getSlot(context) {
+    return context.isArray ? context.key - context.offset : context.key;
+  }
+
+  // Remove the item which has just been completed from a streamed array.
+  #releaseItem(context) {
+    const path = this.#getPath();
+    const value = this.#getValue(context);
+    if (context.value !== null) this.#truncate(context, 0);
+    context.offset = context.key + 1;
+    if (this.#locations) {
+      // The locations of the item and of its descendants are released as well.
+      const pointer = toJsonPointer(path);
+      for (const key of this.#locations.keys()) {
+        if (key === pointer || key.startsWith(pointer + '/')) this.#locations.delete(key);
+      }
+    }
+    if (this.#options.on_item) {
+      this.#options.on_item(value, path.slice());
+    } else {
+      this.#items.push({value, path});
+    }
+  }
+
+  // Begin an array or an object as the value of the current node.
+  #beginArrayOrObject(context, isArray, tokenIndex) {
+    // The depth of the new array or object is the length of the stack, as the root context is not a node.
+    if (this.#stack.length > this.#options.max_depth) this.#throwLimitError('Too deeply nested', 'max_depth', tokenIndex);
+    const selection = this.#getChildSelection(context);
+    let value = null;
+    if (selection !== SELECTION.NONE) {
+      // Reuse the array or object of the placeholder, if any (but not the value of a previous property with
+      // the same name).
+      if (this.#hasPlaceholder && !context.isDuplicate) value = this.#getValue(context);
+      const isReused = isArray ? Array.isArray(value) : typeof value === 'object' && value !== null && !Array.isArray(value);
+      if (!isReused) value = isArray ? [] : this.#options.null_prototype ? Object.create(null) : {};
+    }
+    this.#setValue(value, tokenIndex, selection);
+    const schema = this.#options.schema === undefined ? undefined : this.#getChildSchema(context);
+    if (isArray) {
+      const isStreamed = Boolean(this.#streamedArrays?.matches(this.#getPath()));
+      this.#stack.push({
+        isArray: true, value, key: 0, expectedPiece: PIECE.VALUE, isEmpty: true, selection, offset: 0, isStreamed, schema});
+    } else {
+      this.#stack.push({
+        isArray: false, value, expectedPiece: PIECE.PROPERTY_NAME, isEmpty: true, selection,
+        propertyNames: this.#hasPropertyNames() ? new Set() : undefined, numberOfKeys: 0, schema,
+        isDuplicate: false, builtValue: null, collectedValues: undefined});
+    }
+  }
+
+  // Return true if the property names of objects are recorded. They are needed to remove the properties of the
+  // placeholder which are not in the input, to check the schema, and to detect duplicate property names.
+  #hasPropertyNames() {
+    return this.#hasPlaceholder || this.#options.schema !== undefined ||
+      (this.#options.duplicate_keys !== undefined && this.#options.duplicate_keys !== 'last');
   }
 
   #nextArrayItemOrObjectProperty(context) {
@@ -126,25 +859,99 @@ export class Parser {
       ++context.key;
       context.expectedPiece = PIECE.VALUE;
     } else {
-      if (this.#hasPlaceholder) context.propertyNames.add(context.key);
+      if (context.propertyNames) context.propertyNames.add(context.key);
       context.expectedPiece = PIECE.PROPERTY_NAME;
     }
   }
 
-  #closeArrayOrObject(context) {
-    if (!context.isEmpty) this.#nextArrayItemOrObjectProperty(context);
-    if (this.#hasPlaceholder) {
+  #setPropertyName(context, propertyName, tokenIndex) {
+    if (this.#options.reject_proto_keys && (propertyName === '__proto__' || propertyName === 'constructor')) {
+      this.#throwSyntaxError(`Forbidden property name: ${propertyName}`, tokenIndex);
+    }
+    context.expectedPiece = PIECE.COLON;
+    context.key = propertyName;
+    if (this.#locations) this.#recordKeyLocation(tokenIndex);
+    if (++context.numberOfKeys > this.#options.max_keys_per_object) {
+      this.#throwLimitError('Too many properties', 'max_keys_per_object', tokenIndex);
+    }
+    this.#pushDetailedEvent('key', tokenIndex, {key: propertyName});
+    if (this.#options.schema !== undefined) this.#checkValidation(validatePropertyName(context.schema, propertyName), tokenIndex);
+    context.isDuplicate = Boolean(context.propertyNames?.has(propertyName));
+    if (context.isDuplicate) {
+      if (this.#options.duplicate_keys === 'error') {
+        this.#throwSyntaxError(`Duplicate property name: ${propertyName}`, tokenIndex);
+      }
+      const policy = this.#options.duplicate_keys;
+      if ((policy === 'collect' || typeof policy === 'function') && context.value !== null) {
+        // The value is built on the side, so that the previous value stays in the root value until it is complete.
+        context.builtValue = context.value;
+        context.value = Object.create(null);
+        ++this.#pendingDuplicateCount;
+      }
+    }
+  }
+
+  // Apply the option `duplicate_keys` to the value of the current key of context, which has just been completed.
+  // isArrayOrObject is true if the value is an array or an object.
+  #resolveDuplicateKey(context, isArrayOrObject) {
+    if (!context.isDuplicate || context.builtValue === null) return;
+    const value = this.#getValue(context);
+    context.value = context.builtValue;
+    context.builtValue = null;
+    --this.#pendingDuplicateCount;
+    if (!this.#isChildBuilt(context, isArrayOrObject)) return;
+    const previousValue = this.#getValue(context);
+    const policy = this.#options.duplicate_keys;
+    if (policy === 'collect') {
+      context.collectedValues ??= new Map();
+      const collectedValues = [...context.collectedValues.get(context.key) ?? [previousValue], value];
+      context.collectedValues.set(context.key, collectedValues);
+      this.#write(context, context.key, collectedValues);
+    } else {
+      this.#write(context, context.key, policy(previousValue, value, this.#getPath()));
+    }
+  }
+
+  // tokenIndex is undefined when the array or object is closed by close() in repair mode.
+  #closeArrayOrObject(context, tokenIndex) {
+    // expectedPiece is not PIECE.COMA if the array or object is empty or has a trailing coma (JSON5).
+    if (context.expectedPiece === PIECE.COMA) this.#nextArrayItemOrObjectProperty(context);
+    if (this.#hasPlaceholder && this.#options.placeholder_policy !== 'keep' && context.value !== null) {
       // Remove items/properties that were in the placeholder but not in the parsed value.
       if (context.isArray) {
-        context.value.length = context.key;
+        if (context.value.length > context.key - context.offset) this.#truncate(context, context.key - context.offset);
       } else {
-        for (const propertyName in context.value) {
-          if (!context.propertyNames.has(propertyName)) delete context.value[propertyName];
+        for (const propertyName of Object.keys(context.value)) {
+          if (!context.propertyNames.has(propertyName)) this.#delete(context, propertyName);
         }
       }
     }
     this.#stack.pop();
-    this.#pushEvent('end');
+    if (this.#locations) this.#recordValueEnd(tokenIndex);
+    if (this.#options.schema !== undefined) {
+      this.#checkValidation(context.isArray ?
+        validateArrayEnd(context.schema, context.key) : validateObjectEnd(context.schema, context.propertyNames), tokenIndex);
+    }
+    const parentContext = this.#stack.at(-1);
+    this.#reviveValue(parentContext, true);
+    this.#resolveDuplicateKey(parentContext, true);
+    this.#pushEvent('end', tokenIndex);
+    this.#completeValue(parentContext, true);
+  }
+
+  // Lex text from start to end (or less, as the lexer stops when its token buffer is full, see Lexer.lex()), and
+  // parse the resulting tokens. opt_depth is given to Lexer.lex(). Return the index of the next character to lex.
+  #lexAndParse(text, start, end, opt_depth) {
+    let next;
+    try {
+      next = this.#lexer.lex(text, start, end, opt_depth);
+    } catch (error) {
+      // The tokens lexed before the error are parsed first, as they may contain an earlier error.
+      this.#parse();
+      throw error;
+    }
+    this.#parse();
+    return next;
   }
 
   // Process all tokens which are in the lexer buffer.
@@ -153,64 +960,92 @@ export class Parser {
       const context = this.#stack.at(-1);
       const tokenType = this.#lexer.tokenTypes[tokenIndex];
       if (this.#stringBuffer === null) {
+        if (this.#stack.length === 1 && this.#options.multiple_documents && isValueToken(tokenType)) {
+          this.#beginDocument(context, tokenIndex);
+        }
         switch (tokenType) {
           case TOKEN_TYPE.LITERAL:
-            this.#setValue(this.#lexer.tokenValues[tokenIndex], tokenIndex);
+            if (context.expectedPiece === PIECE.PROPERTY_NAME && this.#options.json5 && isIdentifierName(this.#lexer.tokenTexts[tokenIndex])) {
+              // A literal value like null or Infinity used as an unquoted property name.
+              this.#setPropertyName(context, this.#lexer.tokenTexts[tokenIndex], tokenIndex);
+            } else {
+              this.#setLiteralValue(context, tokenIndex);
+            }
+            break;
+          case TOKEN_TYPE.IDENTIFIER:
+            // Only emitted in JSON5 mode.
+            if (context.expectedPiece !== PIECE.PROPERTY_NAME) {
+              this.#throwSyntaxError('Unknown literal value: ' + this.#lexer.tokenValues[tokenIndex], tokenIndex);
+            }
+            this.#setPropertyName(context, this.#lexer.tokenValues[tokenIndex], tokenIndex);
             break;
           case TOKEN_TYPE.START_OBJECT:
-            let newObject = this.#getValue(context) || {};
-            this.#setValue(newObject);
-            this.#stack.push(
-              {isArray: false, value: newObject, expectedPiece: PIECE.PROPERTY_NAME, propertyNames: this.#hasPlaceholder ? new Set() : undefined, isEmpty: true});
+            this.#beginArrayOrObject(context, false, tokenIndex);
             break;
           case TOKEN_TYPE.END_OBJECT:
-            if (context.isArray || context.expectedPiece !== (context.isEmpty ? PIECE.PROPERTY_NAME : PIECE.COMA)) {
-              this.#throwUnexpectedTokenError(tokenType);
+            if (context.isArray ||
+                (context.expectedPiece !== (context.isEmpty ? PIECE.PROPERTY_NAME : PIECE.COMA) &&
+                 !(this.#options.json5 && context.expectedPiece === PIECE.PROPERTY_NAME))) {
+              this.#throwUnexpectedTokenError(tokenType, tokenIndex);
             }
-            this.#closeArrayOrObject(context);
+            this.#closeArrayOrObject(context, tokenIndex);
             break;
           case TOKEN_TYPE.START_ARRAY:
-            let newArray = this.#getValue(context) || [];
-            this.#setValue(newArray);
-            this.#stack.push({isArray: true, value: newArray, key: 0, expectedPiece: PIECE.VALUE, isEmpty: true});
+            this.#beginArrayOrObject(context, true, tokenIndex);
             break;
           case TOKEN_TYPE.END_ARRAY:
-            if (!context.isArray || (!context.isEmpty && context.expectedPiece === PIECE.VALUE)) {
-              this.#throwUnexpectedTokenError(tokenType);
+            if (!context.isArray || (!context.isEmpty && context.expectedPiece === PIECE.VALUE && !this.#options.json5)) {
+              this.#throwUnexpectedTokenError(tokenType, tokenIndex);
             }
-            this.#closeArrayOrObject(context);
+            this.#closeArrayOrObject(context, tokenIndex);
             break;
           case TOKEN_TYPE.COLON:
             if (context.isArray) {
-              this.#throwUnexpectedTokenError(tokenType);
+              this.#throwUnexpectedTokenError(tokenType, tokenIndex);
             } else {
               if (context.expectedPiece !== PIECE.COLON) {
-                this.#throwUnexpectedTokenError(tokenType);
+                this.#throwUnexpectedTokenError(tokenType, tokenIndex);
               }
               context.expectedPiece = PIECE.VALUE;
             }
             break;
           case TOKEN_TYPE.COMA:
-            if (context.expectedPiece !== PIECE.COMA) this.#throwUnexpectedTokenError(tokenType);
+            // Root values (e.g. the documents in multiple documents mode) are not separated by comas.
+            if (context.expectedPiece !== PIECE.COMA || this.#stack.length === 1) {
+              this.#throwUnexpectedTokenError(tokenType, tokenIndex);
+            }
             this.#nextArrayItemOrObjectProperty(context);
             break;
           case TOKEN_TYPE.START_STRING:
             if (!(context.expectedPiece === PIECE.VALUE || context.expectedPiece === PIECE.PROPERTY_NAME)) {
-              this.#throwUnexpectedTokenError(tokenType);
+              this.#throwUnexpectedTokenError(tokenType, tokenIndex);
             }
             this.#stringBuffer = [];
+            // With detailed events, the value of discarded strings is still needed for set events.
+            this.#isStringDiscarded = context.expectedPiece === PIECE.VALUE && !this.#options.detailed_events &&
+              this.#getChildSelection(context) !== SELECTION.ALL;
+            if (context.expectedPiece === PIECE.VALUE) {
+              if (this.#options.schema !== undefined) this.#validateNodeStart(context, 'string', tokenIndex);
+              if (this.#locations) this.#recordValueStart(tokenIndex);
+              this.#pushDetailedEvent('start_string', tokenIndex);
+            } else if (this.#locations) {
+              this.#stringStartLocation = {...this.#lexer.getTokenLocation(tokenIndex)};
+            }
             break;
           // By construction, the lexer cannot emit STRING_CHUNK or END_STRING here.
         }
       } else {
-        this.#stringBuffer.push(this.#lexer.tokenValues[tokenIndex]);
+        const text = this.#lexer.tokenValues[tokenIndex];
+        if (!this.#isStringDiscarded) this.#stringBuffer.push(text);
+        const isPropertyName = context.expectedPiece === PIECE.PROPERTY_NAME;
+        if (!isPropertyName && text) this.#pushDetailedEvent('append', tokenIndex, {text});
         if (tokenType === TOKEN_TYPE.END_STRING) {
           let value = this.#stringBuffer.join('');
-          if (context.expectedPiece === PIECE.PROPERTY_NAME) {
-            context.expectedPiece = PIECE.COLON;
-            context.key = value;
+          if (isPropertyName) {
+            this.#setPropertyName(context, value, tokenIndex);
           } else {
-            this.#setValue(value);
+            this.#pushDetailedEvent('end_string', tokenIndex);
+            this.#setValue(value, tokenIndex);
           }
           this.#stringBuffer = null;
         }
@@ -226,7 +1061,41 @@ export class Parser {
         let value = this.#stringBuffer.join('');
         this.#stringBuffer = [value];
         this.#setIncompleteValue(context, value + (typeof this.#options.include_incomplete_strings === 'string' ? this.#options.include_incomplete_strings : ''));
+        if (this.#subscriptions.length) this.#notifySubscriptions(this.#getPath(), 'append');
+      }
+    }
+  }
+
+  // Throw an error if the byte input contains an invalid UTF-8 sequence. The location is the one of
+  // the character that would follow the last decoded one, with the offset of the invalid sequence as byteOffset.
+  #throwSyntaxErrorIfDecodingFailed() {
+    if (this.#decoder.errorByteOffset < 0) return;
+    const location = this.#lexer.getLocation();
+    ++location.index;
+    ++location.column;
+    location.byteOffset = this.#decoder.errorByteOffset;
+    this.#throwSyntaxError(this.#decoder.errorMessage, location);
+  }
+
+  // Close the input stream, repairing it if it is truncated.
+  #closeAndRepair() {
+    const isPropertyName = this.#stringBuffer !== null && this.#stack.at(-1).expectedPiece === PIECE.PROPERTY_NAME;
+    const path = this.#getPath();
+    const lexerRepair = this.#lexer.close();
+    // Unterminated property names are dropped below.
+    if (lexerRepair && !isPropertyName) this.#repairs.push({path, kind: lexerRepair});
+    this.#parse();
+    while (this.#stack.length > 1) {
+      const context = this.#stack.at(-1);
+      const path = this.#getPath();
+      if (!context.isArray && (context.expectedPiece === PIECE.COLON || context.expectedPiece === PIECE.VALUE)) {
+        this.#repairs.push({path, kind: 'drop_key'});
+        this.#locations?.delete(toJsonPointer(path));
+      } else if (!context.isEmpty && context.expectedPiece !== PIECE.COMA) {
+        this.#repairs.push({path: path.slice(0, -1), kind: 'drop_comma'});
       }
+      this.#repairs.push({path: path.slice(0, -1), kind: context.isArray ? 'close_array' : 'close_object'});
+      this.#closeArrayOrObject(context);
     }
   }
 
@@ -234,18 +1103,193 @@ export class Parser {
   #throwSyntaxErrorIfStackIsNotEmpty() {
     if (this.#stack.length === 1) return;
     let context = this.#stack.at(-1);
-    this.#throwSyntaxError(`Unterminated ${CONTEXT_TYPE_NAME[context.type]}`);
+    this.#throwSyntaxError(`Unterminated ${context.isArray ? 'array' : 'object'}`);
+  }
+
+  // The following methods implement saveState() and fromState().
+
+  // Get a context of the stack, as stored in the state. Its value is not stored, as it is a node of the root value.
+  #saveContext(context) {
+    if (context.isArray) {
+      const {isArray, key, expectedPiece, isEmpty, selection, offset, isStreamed} = context;
+      return {isArray, key, expectedPiece, isEmpty, selection, offset, isStreamed};
+    }
+    const {isArray, key, expectedPiece, isEmpty, selection, numberOfKeys, isDuplicate} = context;
+    return {
+      isArray, key, expectedPiece, isEmpty, selection, numberOfKeys, isDuplicate,
+      propertyNames: context.propertyNames ? [...context.propertyNames] : null,
+      // The temporary object holding the value of a duplicate property, which is not in the root value.
+      duplicateHolder: context.builtValue === null ? null : copyValue(context.value),
+      collectedValues: context.collectedValues ? copyValue([...context.collectedValues]) : null
+    };
+  }
+
+  // Restore a context saved by #saveContext(), as a child of the context at the top of the stack (if any).
+  // rootValue is the restored value of the root context.
+  #restoreContext(savedContext, rootValue) {
+    checkState(isPlainObject(savedContext), 'stack');
+    const {isArray, key, expectedPiece, isEmpty, selection} = savedContext;
+    const parentContext = this.#stack.at(-1);
+    checkState(isArray === true || (isArray === false && parentContext), 'stack.isArray');
+    checkState(Object.values(PIECE).includes(expectedPiece) && typeof isEmpty === 'boolean', 'stack.expectedPiece');
+    checkState(Object.values(SELECTION).includes(selection), 'stack.selection');
+    let value = null;
+    if (!parentContext) {
+      value = rootValue;
+    } else if (selection !== SELECTION.NONE) {
+      // The array or object is the value of the current key of the parent context.
+      checkState(parentContext.value !== null, 'stack.selection');
+      value = getOwnProperty(parentContext.value, this.#getSlot(parentContext));
+      checkState(isArray ? Array.isArray(value) : isPlainObject(value), 'value');
+    }
+    const schema = parentContext && this.#options.schema !== undefined ? this.#getChildSchema(parentContext) : undefined;
+    if (isArray) {
+      const {offset, isStreamed} = savedContext;
+      checkState(Number.isInteger(key) && Number.isInteger(offset) && offset >= 0 && offset <= key + 1 &&
+        typeof isStreamed === 'boolean', 'stack.key');
+      return {isArray, value, key, expectedPiece, isEmpty, selection, offset, isStreamed, schema};
+    }
+    const {numberOfKeys, isDuplicate, propertyNames, duplicateHolder, collectedValues} = savedContext;
+    checkState((key === undefined || typeof key === 'string') && Number.isInteger(numberOfKeys) &&
+      typeof isDuplicate === 'boolean', 'stack.key');
+    checkState(propertyNames === null ? !this.#hasPropertyNames() :
+      Array.isArray(propertyNames) && propertyNames.every(name => typeof name === 'string'), 'stack.propertyNames');
+    checkState(collectedValues === null || (Array.isArray(collectedValues) &&
+      collectedValues.every(entry => Array.isArray(entry) && typeof entry[0] === 'string' && Array.isArray(entry[1]))),
+      'stack.collectedValues');
+    checkState(duplicateHolder === null || (isDuplicate && value !== null && isPlainObject(duplicateHolder)),
+      'stack.duplicateHolder');
+    const nullPrototype = this.#options.null_prototype;
+    let builtValue = null;
+    if (duplicateHolder !== null) {
+      builtValue = value;
+      value = Object.assign(Object.create(null), copyValue(duplicateHolder, nullPrototype));
+      ++this.#pendingDuplicateCount;
+    }
+    return {
+      isArray, value, key, expectedPiece, isEmpty, selection,
+      propertyNames: propertyNames ? new Set(propertyNames) : undefined, numberOfKeys, schema, isDuplicate, builtValue,
+      collectedValues: collectedValues ? new Map(copyValue(collectedValues, nullPrototype)) : undefined};
+  }
+
+  // Restore a state returned by saveState() in a new parser.
+  #restoreState(state) {
+    this.#lexer.restoreState(state.lexer);
+    if (state.decoder !== null) {
+      this.#decoder = new Utf8Decoder();
+      this.#decoder.restoreState(state.decoder);
+    }
+    const nullPrototype = this.#options.null_prototype;
+    const rootValue = copyValue(state.value, nullPrototype);
+    checkState(Array.isArray(rootValue), 'value');
+    checkState(Array.isArray(state.stack) && state.stack.length > 0, 'stack');
+    checkState(typeof state.isStringDiscarded === 'boolean' && typeof state.hasPlaceholder === 'boolean', 'flags');
+    // The contexts of objects depend on the presence of a placeholder.
+    this.#hasPlaceholder = state.hasPlaceholder;
+    this.#stack = [];
+    this.#pendingDuplicateCount = 0;
+    for (const savedContext of state.stack) this.#stack.push(this.#restoreContext(savedContext, rootValue));
+    checkState(state.stringBuffer === null || typeof state.stringBuffer === 'string', 'stringBuffer');
+    checkState(state.stringStartLocation === null || isLocation(state.stringStartLocation), 'stringStartLocation');
+    checkState(Object.values(EXTRACT_STATE).includes(state.extractState) && Number.isInteger(state.backtickCount) &&
+      (this.#options.extract || state.extractState === EXTRACT_STATE.LOCKED), 'extractState');
+    checkState(Number.isInteger(state.documentCount) && (state.document === null || isPlainObject(state.document)), 'document');
+    for (const name of ['events', 'items', 'documents', 'patches', 'repairs']) {
+      checkState(Array.isArray(state[name]) && state[name].every(isPlainObject), name);
+    }
+    checkState(this.#locations ? Array.isArray(state.locations) &&
+      state.locations.every(entry => Array.isArray(entry) && typeof entry[0] === 'string' && isPlainObject(entry[1])) :
+      state.locations === null, 'locations');
+    this.#stringBuffer = state.stringBuffer === null ? null : [state.stringBuffer];
+    this.#isStringDiscarded = state.isStringDiscarded;
+    this.#stringStartLocation = state.stringStartLocation && {...state.stringStartLocation};
+    this.#extractState = state.extractState;
+    this.#backtickCount = state.backtickCount;
+    this.#document = state.document && {...state.document};
+    this.#documentCount = state.documentCount;
+    // The values of items and documents are restored like the root value.
+    this.#events = copyValue(state.events);
+    this.#items = state.items.map(item => ({...copyValue(item), value: copyValue(item.value, nullPrototype)}));
+    this.#documents = state.documents.map(document => ({...copyValue(document), value: copyValue(document.value, nullPrototype)}));
+    this.#patches = copyValue(state.patches);
+    this.#repairs = copyValue(state.repairs);
+    if (this.#locations) this.#locations = new Map(copyValue(state.locations));
+    this.#isModified = true;
   }
 }
 
+// Build the record yielded by the iterator- and stream-based interfaces.
+export function getResult(parser, options, done) {
+  return {
+    root: parser.getValue(),
+    events: options?.track_events && parser.takeEvents(),
+    items: options?.stream_items && parser.takeItems(),
+    documents: options?.multiple_documents && parser.takeDocuments(),
+    repairs: options?.repair && parser.getRepairs(),
+    patches: options?.track_patches && parser.takePatches(),
+    done
+  };
+}
+
 // Iterator-based interface for the parser.
 export function* parse(stream, opt_options) {
   let parser = new Parser(opt_options);
-  const trackEvents = opt_options?.track_events;
   for (const chunk of stream) {
     parser.push(chunk);
-    yield {root: parser.getValue(), events: trackEvents && parser.takeEvents(), done: false};
+    yield getResult(parser, opt_options, false);
   }
   parser.close();
-  yield {root: parser.getValue(), events: trackEvents && parser.takeEvents(), done: true};
+  yield getResult(parser, opt_options, true);
+}
+
+// Async-iterator-based interface for the parser. The stream may be any async (or sync) iterable of
+// strings. The option `signal` (an AbortSignal) interrupts parsing, in which case the generator
+// throws the abort reason. If the stream itself throws, the generator throws a SyntaxError whose
+// cause is the original error.
+export async function* parseAsync(stream, opt_options) {
+  let parser = new Parser(opt_options);
+  const signal = opt_options?.signal;
+  const iterator = stream[Symbol.asyncIterator] ? stream[Symbol.asyncIterator]() : stream[Symbol.iterator]();
+  // The function rejecting the pending read when the signal is aborted. A promise is created for each read, so
+  // that nothing is kept from one read to the next.
+  let rejectRead = null;
+  const onAbort = () => rejectRead?.(signal.reason);
+  if (signal) {
+    signal.throwIfAborted();
+    signal.addEventListener('abort', onAbort, {once: true});
+  }
+  let isDone = false;
+  try {
+    while (true) {
+      let item;
+      try {
+        item = await (signal ? new Promise((resolve, reject) => {
+          rejectRead = reject;
+          // The promise is not resolved with the read itself, as it could then no longer be rejected.
+          Promise.resolve(iterator.next()).then(resolve, reject);
+        }) : iterator.next());
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        isDone = true;  // The stream is broken, there is no point in closing it.
+        throw new SyntaxError(`Input stream failed: ${error?.message ?? error}`, parser.getInputLocation(), error);
+      } finally {
+        rejectRead = null;
+      }
+      if (item.done) break;
+      parser.push(item.value);
+      yield getResult(parser, opt_options, false);
+      signal?.throwIfAborted();
+    }
+    isDone = true;
+    parser.close();
+    yield getResult(parser, opt_options, true);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    if (!isDone) {
+      const returned = iterator.return?.();
+      // After an abort, the stream may be stuck in a pending read, so do not wait for it.
+      if (signal?.aborted) Promise.resolve(returned).catch(() => {});
+      else await returned;
+    }
+  }
 }
@@ -0,0 +1,65 @@
+// JSON Patch (RFC 6902) support.
+// In addition to the standard operations, patches may contain the operation {op: 'append', path, value},
+// which appends the string value to the string at path.
+
+import { getOwnProperty, setOwnProperty } from './property.js';
+
+// Convert a path (array of property names and indexes) into a JSON Pointer (RFC 6901).
+export function toJsonPointer(path) {
+  return path.map(key => '/' + String(key).replaceAll('~', '~0').replaceAll('/', '~1')).join('');
+}
+
+// Convert a JSON Pointer into an array of property names (indexes are returned as strings).
+export function parseJsonPointer(pointer) {
+  if (pointer === '') return [];
+  if (pointer[0] !== '/') throw `Invalid JSON Pointer: ${pointer}`;
+  return pointer.slice(1).split('/').map(key => key.replaceAll('~1', '/').replaceAll('~0', '~'));
+}
+
+// Apply a patch, as produced by Parser.takePatches(), to a document. The document is modified in place,
+// except if the root is replaced. Return the patched document. Values are copied from the patch, so that
+// the patch is not modified by subsequent operations.
+// Supported operations: add, remove, replace and append.
+export function applyPatch(document, patch) {
+  for (let operation of patch) {
+    if (typeof operation.value === 'object') operation = {...operation, value: structuredClone(operation.value)};
+    const path = parseJsonPointer(operation.path);
+    if (path.length === 0) {
+      switch (operation.op) {
+        case 'add':
+        case 'replace': document = operation.value; break;
+        case 'remove': document = undefined; break;
+        case 'append': document += operation.value; break;
+        default: throw `Unsupported patch operation: ${operation.op}`;
+      }
+      continue;
+    }
+    let parent = document;
+    for (const key of path.slice(0, -1)) {
+      parent = parent !== null && typeof parent === 'object' ? getOwnProperty(parent, key) : undefined;
+    }
+    if (parent === null || typeof parent !== 'object') throw `Invalid patch path: ${operation.path}`;
+    const key = path.at(-1);
+    const isArray = Array.isArray(parent);
+    const index = key === '-' ? parent.length : Number(key);
+    switch (operation.op) {
+      case 'add':
+        if (isArray) parent.splice(index, 0, operation.value);
+        else setOwnProperty(parent, key, operation.value);
+        break;
+      case 'remove':
+        if (isArray) parent.splice(index, 1);
+        else delete parent[key];
+        break;
+      case 'replace':
+        setOwnProperty(parent, key, operation.value);
+        break;
+      case 'append':
+        setOwnProperty(parent, key, getOwnProperty(parent, key) + operation.value);
+        break;
+      default:
+        throw `Unsupported patch operation: ${operation.op}`;
+    }
+  }
+  return document;
+}
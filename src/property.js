@@ -0,0 +1,18 @@
+// Access to the properties of objects built from untrusted input.
+// Assigning the property "__proto__" of an object changes its prototype, and reading it returns the prototype
+// if the object does not have such an own property. These functions only deal with own properties, as JSON.parse
+// does.
+
+// Get the own property key of object, or undefined.
+export function getOwnProperty(object, key) {
+  return Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+// Set the own property key of object, with define-property semantics.
+export function setOwnProperty(object, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(object, key, {value, writable: true, enumerable: true, configurable: true});
+  } else {
+    object[key] = value;
+  }
+}
@@ -0,0 +1,155 @@
+// Validation of parsed values against a JSON Schema (option `schema`).
+//
+// Only a subset of JSON Schema draft 2020-12 is supported: boolean schemas and the keywords type, enum, const,
+// minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, properties,
+// additionalProperties, required, minProperties, maxProperties, prefixItems, items, minItems and maxItems.
+// Other keywords are ignored. enum and const are only checked for strings, numbers, booleans and null.
+//
+// The validation functions are called by the parser as soon as possible while parsing a value. They return an error
+// message if the value does not match the schema, and null otherwise. An undefined schema matches any value.
+//
+// This module also generates placeholders from schemas (see createPlaceholder()).
+
+import { setOwnProperty } from './property.js';
+
+// The compiled regular expressions of the keyword pattern.
+const PATTERNS = new Map();
+
+function getPattern(pattern) {
+  let regExp = PATTERNS.get(pattern);
+  if (!regExp) {
+    regExp = new RegExp(pattern, 'u');
+    PATTERNS.set(pattern, regExp);
+  }
+  return regExp;
+}
+
+function isObjectSchema(schema) {
+  return typeof schema === 'object' && schema !== null;
+}
+
+// Get the schema of the item or property `key` of a value matching `schema`.
+export function getChildSchema(schema, key) {
+  if (!isObjectSchema(schema)) return schema;
+  if (typeof key === 'number') {
+    if (schema.prefixItems && key < schema.prefixItems.length) return schema.prefixItems[key];
+    return schema.items;
+  }
+  if (schema.properties && Object.hasOwn(schema.properties, key)) return schema.properties[key];
+  return schema.additionalProperties;
+}
+
+// Check the type of a value, typeName being one of 'null', 'boolean', 'number', 'string', 'array' and 'object'.
+// opt_value is the value, if it is a number.
+export function validateType(schema, typeName, opt_value) {
+  if (schema === false) return 'No value is allowed';
+  if (!isObjectSchema(schema) || schema.type === undefined) return null;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  for (const type of types) {
+    if (type === typeName || (type === 'integer' && typeName === 'number' && Number.isInteger(opt_value))) return null;
+  }
+  return `Expected ${types.join(' or ')}, got ${typeName}`;
+}
+
+// Check a string, number, boolean or null value.
+export function validateScalar(schema, value) {
+  const typeName = value === null ? 'null' : typeof value;
+  const message = validateType(schema, typeName, value);
+  if (message || !isObjectSchema(schema)) return message;
+  if (Object.hasOwn(schema, 'const') && value !== schema.const) return `Expected ${JSON.stringify(schema.const)}`;
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `Expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`;
+  }
+  if (typeName === 'string') {
+    if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+      // Lengths are counted in code points.
+      const length = [...value].length;
+      if (length < schema.minLength) return `Expected at least ${schema.minLength} characters`;
+      if (length > schema.maxLength) return `Expected at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern !== undefined && !getPattern(schema.pattern).test(value)) {
+      return `Expected a string matching ${schema.pattern}`;
+    }
+  } else if (typeName === 'number') {
+    if (value < schema.minimum) return `Expected a number >= ${schema.minimum}`;
+    if (value > schema.maximum) return `Expected a number <= ${schema.maximum}`;
+    if (value <= schema.exclusiveMinimum) return `Expected a number > ${schema.exclusiveMinimum}`;
+    if (value >= schema.exclusiveMaximum) return `Expected a number < ${schema.exclusiveMaximum}`;
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      return `Expected a multiple of ${schema.multipleOf}`;
+    }
+  }
+  return null;
+}
+
+// Check the name of a property of an object, when it is parsed.
+export function validatePropertyName(schema, name) {
+  if (isObjectSchema(schema) && schema.additionalProperties === false &&
+      !(schema.properties && Object.hasOwn(schema.properties, name))) {
+    return `Unexpected property ${JSON.stringify(name)}`;
+  }
+  return null;
+}
+
+// Check the index of an item of an array, when the item is parsed.
+export function validateItemIndex(schema, index) {
+  if (isObjectSchema(schema) && index >= schema.maxItems) return `Expected at most ${schema.maxItems} items`;
+  return null;
+}
+
+// Check an array, given its number of items, when it is complete.
+export function validateArrayEnd(schema, length) {
+  if (isObjectSchema(schema) && length < schema.minItems) return `Expected at least ${schema.minItems} items`;
+  return null;
+}
+
+// Check an object, given the set of its property names, when it is complete.
+export function validateObjectEnd(schema, propertyNames) {
+  if (!isObjectSchema(schema)) return null;
+  const missing = (schema.required || []).filter(name => !propertyNames.has(name));
+  if (missing.length) return `Missing required properties: ${missing.map(name => JSON.stringify(name)).join(', ')}`;
+  if (propertyNames.size < schema.minProperties) return `Expected at least ${schema.minProperties} properties`;
+  if (propertyNames.size > schema.maxProperties) return `Expected at most ${schema.maxProperties} properties`;
+  return null;
+}
+
+// Get the type of the placeholder for a schema: its first type which is not 'null', or the type implied by the
+// keywords for objects and arrays.
+function getPlaceholderType(schema) {
+  if (schema.type === undefined) {
+    if (schema.properties) return 'object';
+    if (schema.items || schema.prefixItems) return 'array';
+    return 'null';
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.find(type => type !== 'null') ?? 'null';
+}
+
+// Create a placeholder matching a schema (see Parser.setPlaceholder()). The placeholder is the default value of
+// the schema if any, or its constant, or else an empty value of its type: an object with a placeholder for each
+// of its properties, an empty array or string, 0, false or null.
+export function createPlaceholder(schema) {
+  if (!isObjectSchema(schema)) return null;
+  if (Object.hasOwn(schema, 'default')) return structuredClone(schema.default);
+  if (Object.hasOwn(schema, 'const')) return structuredClone(schema.const);
+  switch (getPlaceholderType(schema)) {
+    case 'object': {
+      const value = {};
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        setOwnProperty(value, name, createPlaceholder(propertySchema));
+      }
+      return value;
+    }
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'number':
+    case 'integer':
+      return 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
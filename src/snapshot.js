@@ -0,0 +1,64 @@
+// Immutable snapshots of the value being parsed.
+
+import { setOwnProperty } from './property.js';
+
+// Return true if value is an array or an object which is copied in snapshots. Other objects (e.g. those
+// returned by a reviver) are considered as opaque values.
+function isCopied(value) {
+  if (Array.isArray(value)) return true;
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Produce copies of a tree of arrays and objects which is modified in place. Copies of unchanged
+// subtrees are shared between successive snapshots, so that they keep their identity.
+// The caller is responsible for marking nodes which have been modified since the last snapshot,
+// as well as all their ancestors.
+export class Snapshotter {
+
+  // Options:
+  // * freeze: if true, copies are frozen.
+  constructor(opt_options) {
+    this.#freeze = Boolean(opt_options?.freeze);
+  }
+
+  // Mark a node as modified. Return false if it was already marked.
+  markModified(node) {
+    if (this.#modifiedNodes.has(node)) return false;
+    this.#modifiedNodes.add(node);
+    return true;
+  }
+
+  // Get a snapshot of the tree whose root is value.
+  snapshot(value) {
+    const copy = this.#copy(value);
+    this.#modifiedNodes.clear();
+    return copy;
+  }
+
+  #freeze;
+  // The last copy of each node.
+  #copies = new WeakMap();
+  // The nodes modified since the last snapshot.
+  #modifiedNodes = new Set();
+
+  #copy(value) {
+    if (!isCopied(value)) return value;
+    if (!this.#modifiedNodes.has(value)) {
+      const copy = this.#copies.get(value);
+      if (copy) return copy;
+    }
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map(item => this.#copy(item));
+    } else {
+      copy = Object.create(Object.getPrototypeOf(value));
+      for (const key of Object.keys(value)) setOwnProperty(copy, key, this.#copy(value[key]));
+    }
+    if (this.#freeze) Object.freeze(copy);
+    this.#copies.set(value, copy);
+    return copy;
+  }
+
+}
@@ -0,0 +1,79 @@
+// Helpers for saving the state of a parser and restoring it (see Parser.saveState() and Parser.fromState()).
+// A state is a plain object which can be serialized to JSON. Restored states are checked, and an exception is
+// thrown if they are corrupted or if they have been saved by an incompatible version of the parser.
+
+import { setOwnProperty } from './property.js';
+
+// The version of the format of states. It must be incremented when the format changes.
+export const STATE_VERSION = 1;
+
+// Throw an exception if a condition about a restored state is false. what is the part of the state being checked.
+export function checkState(condition, what) {
+  if (!condition) throw `Invalid parser state: ${what}.`;
+}
+
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+export function isLocation(value) {
+  return isPlainObject(value) && Number.isInteger(value.index) && Number.isInteger(value.line) &&
+    Number.isInteger(value.column);
+}
+
+// Get a deep copy of a value which can be serialized to JSON, throwing an exception if it cannot. Undefined values
+// are accepted, they are handled as JSON.stringify() does. Objects are created without prototype if
+// opt_nullPrototype is true.
+export function copyValue(value, opt_nullPrototype) {
+  switch (typeof value) {
+    case 'undefined':
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      if (!Number.isFinite(value)) throw 'The parser state contains a value which cannot be serialized: ' + value;
+      return value;
+    case 'object':
+      if (value === null) return null;
+      if (Array.isArray(value)) {
+        let copy = [];
+        for (let index = 0; index < value.length; ++index) {
+          // Holes (e.g. in a placeholder) would become null in JSON.
+          if (!(index in value)) throw 'The parser state contains a value which cannot be serialized: array with holes';
+          copy.push(copyValue(value[index], opt_nullPrototype));
+        }
+        return copy;
+      }
+      if (isPlainObject(value)) {
+        const copy = opt_nullPrototype ? Object.create(null) : {};
+        for (const key of Object.keys(value)) setOwnProperty(copy, key, copyValue(value[key], opt_nullPrototype));
+        return copy;
+      }
+  }
+  throw 'The parser state contains a value which cannot be serialized: ' + Object.prototype.toString.call(value);
+}
+
+// Get the options of a parser as stored in its state. The options whose value is a function (e.g. reviver) cannot
+// be serialized, only their names are stored. The option `signal` is not stored, as it only applies to a stream.
+export function serializeOptions(options) {
+  const serializedOptions = {};
+  const functionOptions = [];
+  for (const [name, value] of Object.entries(options)) {
+    if (name === 'signal' || value === undefined) continue;
+    if (typeof value === 'function') {
+      functionOptions.push(name);
+    } else {
+      serializedOptions[name] = copyValue(value);
+    }
+  }
+  return {options: serializedOptions, functionOptions: functionOptions.sort()};
+}
+
+// Get a string identifying options returned by serializeOptions(), independently of the order of the properties.
+export function getOptionsFingerprint(serializedOptions) {
+  return JSON.stringify(serializedOptions, (key, value) => isPlainObject(value) ?
+    Object.fromEntries(Object.entries(value).sort(([key1], [key2]) => key1 < key2 ? -1 : key1 > key2 ? 1 : 0)) :
+    value);
+}
@@ -0,0 +1,20 @@
+// WHATWG stream interface for the parser.
+
+import { Parser, getResult } from './parser.js';
+
+// Create a TransformStream which takes text chunks and outputs the same records as parse(),
+// i.e. {root, events, done}: one record per input chunk and a final record when the input ends.
+// Errors (including those thrown when closing the parser) are reported through the stream.
+export function createParserStream(opt_options) {
+  let parser = new Parser(opt_options);
+  return new TransformStream({
+    transform(chunk, controller) {
+      parser.push(chunk);
+      controller.enqueue(getResult(parser, opt_options, false));
+    },
+    flush(controller) {
+      parser.close();
+      controller.enqueue(getResult(parser, opt_options, true));
+    }
+  });
+}
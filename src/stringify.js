@@ -0,0 +1,246 @@
+// A streaming serializer for JSON, the counterpart of the parser.
+
+// The default minimal length of the chunks of text.
+const DEFAULT_CHUNK_SIZE = 16384;
+
+// Return true if value is serialized (undefined, functions and symbols are not, as with JSON.stringify()).
+function isSerializable(value) {
+  return value !== undefined && typeof value !== 'function' && typeof value !== 'symbol';
+}
+
+// Produce the JSON text of a value as chunks of text. The values are walked by a generator, which yields either
+// chunks of text, or the promises returned by the async iterators being walked (only in async mode). The results
+// of these promises must be passed back by next().
+class Stringifier {
+
+  // See stringify() for the options.
+  constructor(opt_options, isAsync) {
+    const replacer = opt_options?.replacer;
+    this.#replacerFunction = typeof replacer === 'function' ? replacer : null;
+    if (Array.isArray(replacer)) {
+      const names = replacer.filter(item => typeof item === 'string' || typeof item === 'number').map(String);
+      this.#propertyNames = [...new Set(names)];
+    }
+    const indent = opt_options?.indent;
+    if (typeof indent === 'number') {
+      this.#gap = ' '.repeat(Math.min(10, Math.max(0, Math.floor(indent))));
+    } else if (typeof indent === 'string') {
+      this.#gap = indent.slice(0, 10);
+    }
+    this.#sortKeys = opt_options?.sort_keys ?? false;
+    this.#chunkSize = opt_options?.chunk_size ?? DEFAULT_CHUNK_SIZE;
+    this.#isAsync = isAsync;
+  }
+
+  *run(value) {
+    const resolvedValue = this.#resolve({'': value}, '', value);
+    if (isSerializable(resolvedValue)) yield* this.#write(resolvedValue);
+    if (this.#text) yield this.#flush();
+  }
+
+  // The replacer, if it is a function, or the list of property names to be serialized, if it is an array.
+  #replacerFunction;
+  #propertyNames = null;
+  // The string used for each level of indentation, and the indentation of the current node.
+  #gap = '';
+  #indentation = '';
+  #sortKeys;
+  #chunkSize;
+  #isAsync;
+  // The path of the current node, and the arrays, objects and iterables containing it (to detect cycles).
+  #path = [];
+  #ancestors = new Set();
+  // The text which has not been yielded yet.
+  #text = '';
+
+  #flush() {
+    const text = this.#text;
+    this.#text = '';
+    return text;
+  }
+
+  // Get the value to be serialized for the property key of holder, as JSON.stringify() does: toJSON() and the
+  // replacer are applied, and boxed primitives are unwrapped.
+  #resolve(holder, key, value) {
+    if (typeof value?.toJSON === 'function') value = value.toJSON(key);
+    if (this.#replacerFunction) value = this.#replacerFunction.call(holder, key, value, this.#path.slice());
+    if (value instanceof Number || value instanceof String || value instanceof Boolean || value instanceof BigInt) {
+      value = value.valueOf();
+    }
+    return value;
+  }
+
+  // Write a value which has been resolved, and yield a chunk if the text is long enough. Values which are not
+  // serializable are written as null.
+  *#write(value) {
+    if (typeof value === 'object' && value !== null) {
+      yield* this.#writeArrayOrObject(value);
+    } else {
+      this.#writeScalar(value);
+    }
+    if (this.#text.length >= this.#chunkSize) yield this.#flush();
+  }
+
+  // Write a value which is not an array, an object or an iterable. This is not a generator, for performance.
+  #writeScalar(value) {
+    switch (typeof value) {
+      case 'string':
+        this.#text += JSON.stringify(value);
+        break;
+      case 'number':
+        // Non-finite numbers are serialized as null, as with JSON.stringify().
+        this.#text += Number.isFinite(value) ? String(value) : 'null';
+        break;
+      case 'bigint':
+        this.#text += String(value);
+        break;
+      case 'boolean':
+        this.#text += value ? 'true' : 'false';
+        break;
+      default:
+        this.#text += 'null';
+    }
+  }
+
+  *#writeArrayOrObject(value) {
+    if (this.#ancestors.has(value)) throw new TypeError(`Circular reference at ${JSON.stringify(this.#path)}`);
+    this.#ancestors.add(value);
+    const indentation = this.#indentation;
+    this.#indentation += this.#gap;
+    let isArray = true;
+    let hasChildren;
+    if (Array.isArray(value)) {
+      // Holes are serialized as null, as with JSON.stringify().
+      hasChildren = yield* this.#writeItems(value, Array.prototype.values.call(value), false);
+    } else if (typeof value[Symbol.iterator] === 'function') {
+      hasChildren = yield* this.#writeItems(value, value[Symbol.iterator](), false);
+    } else if (typeof value[Symbol.asyncIterator] === 'function') {
+      if (!this.#isAsync) throw new TypeError(`Async iterable at ${JSON.stringify(this.#path)}, use stringifyAsync()`);
+      hasChildren = yield* this.#writeItems(value, value[Symbol.asyncIterator](), true);
+    } else {
+      isArray = false;
+      hasChildren = yield* this.#writeProperties(value);
+    }
+    this.#indentation = indentation;
+    if (hasChildren && this.#gap) this.#text += '\n' + indentation;
+    this.#text += isArray ? ']' : '}';
+    this.#ancestors.delete(value);
+  }
+
+  // Write the items of an array or an iterable, as an array, except the closing bracket. Return true if there is
+  // at least one item.
+  *#writeItems(holder, iterator, isAsync) {
+    this.#text += '[';
+    let index = 0;
+    let isDone = false;
+    try {
+      while (true) {
+        const result = isAsync ? yield iterator.next() : iterator.next();
+        if (result.done) break;
+        this.#writeSeparator(index === 0);
+        this.#path.push(index);
+        const value = this.#resolve(holder, String(index), result.value);
+        // Items which are not serializable are serialized as null, as with JSON.stringify().
+        if (typeof value === 'object' && value !== null) {
+          yield* this.#write(value);
+        } else {
+          this.#writeScalar(value);
+          if (this.#text.length >= this.#chunkSize) yield this.#flush();
+        }
+        this.#path.pop();
+        ++index;
+      }
+      isDone = true;
+    } finally {
+      // The iterator is closed if the walk is interrupted (e.g. by an error, or by the consumer of the text).
+      if (!isDone) {
+        const returned = iterator.return?.();
+        if (isAsync) Promise.resolve(returned).catch(() => {});
+      }
+    }
+    return index > 0;
+  }
+
+  // Write the properties of an object, except the closing brace. Return true if there is at least one property.
+  *#writeProperties(value) {
+    this.#text += '{';
+    let names = this.#propertyNames ?? Object.keys(value);
+    if (this.#sortKeys) names = [...names].sort(typeof this.#sortKeys === 'function' ? this.#sortKeys : undefined);
+    let isEmpty = true;
+    for (const name of names) {
+      this.#path.push(name);
+      const propertyValue = this.#resolve(value, name, value[name]);
+      if (isSerializable(propertyValue)) {
+        this.#writeSeparator(isEmpty);
+        this.#text += JSON.stringify(name) + (this.#gap ? ': ' : ':');
+        if (typeof propertyValue === 'object' && propertyValue !== null) {
+          yield* this.#write(propertyValue);
+        } else {
+          this.#writeScalar(propertyValue);
+          if (this.#text.length >= this.#chunkSize) yield this.#flush();
+        }
+        isEmpty = false;
+      }
+      this.#path.pop();
+    }
+    return !isEmpty;
+  }
+
+  // Write what precedes an item or a property.
+  #writeSeparator(isFirst) {
+    if (!isFirst) this.#text += ',';
+    if (this.#gap) this.#text += '\n' + this.#indentation;
+  }
+
+}
+
+// Serialize a value to JSON, as a generator yielding chunks of text, so that large values can be written to a
+// stream without building the whole text in memory. The text is the same as the one returned by JSON.stringify()
+// (including the handling of toJSON() methods and undefined values), except that:
+// * iterables (e.g. generators or sets) which are not arrays are serialized as arrays of their items, so that
+//   values can be produced while they are serialized,
+// * BigInt values are serialized as numbers (see the option `number` of the parser),
+// * a TypeError is thrown with the path of the first circular reference.
+// The text is valid JSON, which the parser turns back into the serialized value.
+// Options:
+// * indent (number|string): the indentation of nested values, as the argument space of JSON.stringify(). By
+//   default, the text is not indented.
+// * replacer (function|array): a function called as replacer(key, value, path) on each value before it is
+//   serialized (with the holder of the value as this, as with JSON.stringify()), whose result is serialized instead,
+//   or the list of the names of the properties to be serialized.
+// * sort_keys (bool|function): if true, the properties of objects are sorted by name. A function is used as the
+//   comparison function, as in Array.prototype.sort().
+// * chunk_size (number): the length of text from which a chunk is yielded (16384 by default). Chunks may be longer
+//   (e.g. for a long string).
+export function* stringify(value, opt_options) {
+  yield* new Stringifier(opt_options, false).run(value);
+}
+
+// Async version of stringify(), as an async generator. Async iterables are also serialized as arrays of their items.
+export async function* stringifyAsync(value, opt_options) {
+  const generator = new Stringifier(opt_options, true).run(value);
+  let isDone = false;
+  try {
+    let result = generator.next();
+    while (!result.done) {
+      if (typeof result.value === 'string') {
+        yield result.value;
+        result = generator.next();
+      } else {
+        // A promise returned by an async iterator.
+        let item;
+        try {
+          item = await result.value;
+        } catch (error) {
+          result = generator.throw(error);
+          continue;
+        }
+        result = generator.next(item);
+      }
+    }
+    isDone = true;
+  } finally {
+    // Close the iterators being walked if the consumer stops early.
+    if (!isDone) generator.return();
+  }
+}
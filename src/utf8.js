@@ -0,0 +1,116 @@
+// An incremental UTF-8 decoder.
+
+import { checkState, isPlainObject } from './state.js';
+
+// A decoder for UTF-8 encoded bytes which are received in chunks. Multi-byte sequences may be split
+// across chunks. A leading BOM is skipped. Invalid byte sequences are not replaced: decoding stops
+// at the first invalid sequence, whose offset is stored in .errorByteOffset.
+export class Utf8Decoder {
+
+  // The offset (in bytes, from the beginning of the input) of the first invalid byte sequence, or -1.
+  errorByteOffset = -1;
+  // The message describing the invalid byte sequence.
+  errorMessage = null;
+
+  // The decoder actually producing the string. It is only given valid byte sequences.
+  #textDecoder = new TextDecoder('utf-8');
+  // The number of bytes decoded so far.
+  #byteOffset = 0;
+  // The offset of the first byte of the sequence being decoded.
+  #sequenceByteOffset = 0;
+  // The number of continuation bytes expected to complete the current sequence.
+  #bytesNeeded = 0;
+  // The range of the next continuation byte.
+  #lowerBoundary = 0x80;
+  #upperBoundary = 0xBF;
+  // The bytes of the current sequence which have been received, if it is incomplete.
+  #pendingBytes = [];
+
+  // Decode a chunk of bytes. Returns the string decoded up to the end of the chunk, or up to the first
+  // invalid byte sequence.
+  decode(bytes) {
+    if (this.errorByteOffset >= 0) return '';
+    const chunkByteOffset = this.#byteOffset;
+    const length = bytes.length;
+    for (let index = 0; index < length; ++index) {
+      if (!this.#validate(bytes[index])) {
+        this.#setError('Invalid UTF-8 sequence');
+        // Only decode the bytes before the invalid sequence (which may have started in a previous chunk).
+        const end = Math.max(0, this.#sequenceByteOffset - chunkByteOffset);
+        return this.#textDecoder.decode(bytes.subarray(0, end), {stream: true});
+      }
+      ++this.#byteOffset;
+    }
+    if (this.#bytesNeeded === 0) {
+      this.#pendingBytes = [];
+    } else if (this.#sequenceByteOffset >= chunkByteOffset) {
+      this.#pendingBytes = Array.from(bytes.subarray(this.#sequenceByteOffset - chunkByteOffset));
+    } else {
+      // The sequence started in a previous chunk.
+      this.#pendingBytes = [...this.#pendingBytes, ...bytes];
+    }
+    return this.#textDecoder.decode(bytes, {stream: true});
+  }
+
+  // Declare the end of the input. Returns the remaining decoded string (which is always empty).
+  end() {
+    if (this.errorByteOffset >= 0) return '';
+    if (this.#bytesNeeded !== 0) {
+      this.#setError('Incomplete UTF-8 sequence');
+      return '';
+    }
+    return this.#textDecoder.decode();
+  }
+
+  // Get the state of the decoder as a plain object which can be serialized to JSON (see Parser.saveState()).
+  saveState() {
+    return {byteOffset: this.#byteOffset, pendingBytes: [...this.#pendingBytes]};
+  }
+
+  // Restore a state returned by saveState() in a new decoder. Throw an exception if the state is invalid.
+  restoreState(state) {
+    checkState(isPlainObject(state) && Number.isInteger(state.byteOffset) && Array.isArray(state.pendingBytes) &&
+      state.pendingBytes.length <= Math.min(state.byteOffset, 3) &&
+      state.pendingBytes.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 0xFF), 'decoder');
+    const startByteOffset = state.byteOffset - state.pendingBytes.length;
+    // The BOM is only skipped at the beginning of the input.
+    this.#textDecoder = new TextDecoder('utf-8', {ignoreBOM: startByteOffset > 0});
+    this.#byteOffset = startByteOffset;
+    // The pending bytes must be the beginning of a valid sequence.
+    const text = this.decode(Uint8Array.from(state.pendingBytes));
+    checkState(text === '' && this.errorByteOffset < 0 && this.#pendingBytes.length === state.pendingBytes.length, 'decoder');
+  }
+
+  #setError(message) {
+    this.errorByteOffset = this.#sequenceByteOffset;
+    this.errorMessage = message;
+  }
+
+  // Check the next byte of the input, following the algorithm from the WHATWG Encoding Standard.
+  #validate(byte) {
+    if (this.#bytesNeeded === 0) {
+      this.#sequenceByteOffset = this.#byteOffset;
+      if (byte <= 0x7F) return true;
+      if (byte >= 0xC2 && byte <= 0xDF) {
+        this.#bytesNeeded = 1;
+      } else if (byte >= 0xE0 && byte <= 0xEF) {
+        if (byte === 0xE0) this.#lowerBoundary = 0xA0;
+        if (byte === 0xED) this.#upperBoundary = 0x9F;
+        this.#bytesNeeded = 2;
+      } else if (byte >= 0xF0 && byte <= 0xF4) {
+        if (byte === 0xF0) this.#lowerBoundary = 0x90;
+        if (byte === 0xF4) this.#upperBoundary = 0x8F;
+        this.#bytesNeeded = 3;
+      } else {
+        return false;
+      }
+      return true;
+    }
+    if (byte < this.#lowerBoundary || byte > this.#upperBoundary) return false;
+    this.#lowerBoundary = 0x80;
+    this.#upperBoundary = 0xBF;
+    --this.#bytesNeeded;
+    return true;
+  }
+
+}
@@ -0,0 +1,83 @@
+// Unit tests for the async-iterator-based interface.
+
+import assert from 'assert';
+import v8 from 'v8';
+import vm from 'vm';
+import { SyntaxError } from '../src/error.js';
+import { parseAsync } from '../src/parser.js';
+
+async function* generateChunks(chunks, opt_error) {
+  for (const chunk of chunks) {
+    await null;
+    yield chunk;
+  }
+  if (opt_error) throw opt_error;
+}
+
+async function collect(iterator) {
+  let results = [];
+  for await (const result of iterator) results.push(result);
+  return results;
+}
+
+{
+  const results = await collect(parseAsync(generateChunks(['{"foo": 1, "bar', '": [2', ', 3]}'])));
+  assert.deepStrictEqual(results.map(result => result.done), [false, false, false, true], "ASYNC_1");
+  assert.deepStrictEqual(results.at(-1).root, {foo: 1, bar: [2, 3]}, "ASYNC_1");
+}
+
+{
+  await assert.rejects(
+    collect(parseAsync(generateChunks(['{"foo": [1, 2']))),
+    (err) => err instanceof SyntaxError && err.message === 'Line 1, column 13: Unterminated array',
+    "ASYNC_2"
+  );
+}
+
+{
+  const cause = new Error('Connection reset');
+  await assert.rejects(
+    collect(parseAsync(generateChunks(['{"foo":', ' 1'], cause))),
+    (err) => err instanceof SyntaxError && err.message === 'Line 1, column 9: Input stream failed: Connection reset' && err.cause === cause,
+    "ASYNC_3"
+  );
+}
+
+{
+  const controller = new AbortController();
+  async function* neverEnding() {
+    yield '[1,';
+    await new Promise(() => {});
+  }
+  const iterator = parseAsync(neverEnding(), {signal: controller.signal});
+  assert.deepStrictEqual((await iterator.next()).value.root, [1], "ASYNC_4");
+  setTimeout(() => controller.abort(new Error('Aborted')), 0);
+  await assert.rejects(iterator.next(), (err) => err.message === 'Aborted', "ASYNC_4");
+}
+
+{
+  // Reading many chunks with a signal does not keep anything from one read to the next.
+  v8.setFlagsFromString('--expose-gc');
+  const gc = vm.runInNewContext('gc');
+  async function* generateSpaces(count) {
+    yield '[';
+    for (let index = 0; index < count; ++index) {
+      await null;
+      yield ' ';
+    }
+    yield ']';
+  }
+  const controller = new AbortController();
+  gc();
+  const heapUsed = process.memoryUsage().heapUsed;
+  let heapGrowth;
+  let count = 0;
+  for await (const result of parseAsync(generateSpaces(200000), {signal: controller.signal})) {
+    if (++count === 200000) {
+      gc();
+      heapGrowth = process.memoryUsage().heapUsed - heapUsed;
+    }
+    if (result.done) assert.deepStrictEqual(result.root, [], "ASYNC_SIGNAL_MEMORY");
+  }
+  assert(heapGrowth < 10e6, "ASYNC_SIGNAL_MEMORY");
+}
@@ -1,8 +1,9 @@
 // Unit tests for failure cases.
 
 import assert from 'assert';
-import { SyntaxError } from '../src/error.js';
+import { LimitError, SyntaxError, ValidationError } from '../src/error.js';
 import { Parser } from '../src/parser.js';
+import { applyPatch } from '../src/patch.js';
 
 function parse(str, opt_options) {
   let parser = new Parser(opt_options);
@@ -102,4 +103,206 @@ const FAILING_EXAMPLE_7 = `{
     checkSyntaxError('Line 2, column 11: Unexpected value'),
     "FAILING_EXAMPLE_7"
   );
-}
\ No newline at end of file
+}
+
+function parseBytes(chunks) {
+  let parser = new Parser();
+  for (const chunk of chunks) parser.push(new Uint8Array(chunk));
+  parser.close();
+  return parser.getValue();
+}
+
+{
+  assert.throws(
+    () => parseBytes([[0x5B, 0x22, 0x0A, 0xC3], [0x28, 0x22, 0x5D]]),
+    (err) => checkSyntaxError('Line 2, column 1: Invalid UTF-8 sequence')(err) && err.location.byteOffset === 3,
+    "FAILING_BYTES_1"
+  );
+}
+
+{
+  assert.throws(
+    () => parseBytes([[0x5B, 0x22, 0xE2, 0x82]]),
+    (err) => checkSyntaxError('Line 1, column 3: Incomplete UTF-8 sequence')(err) && err.location.byteOffset === 2,
+    "FAILING_BYTES_2"
+  );
+}
+
+const FAILING_EXAMPLE_8 = `{"id": 1}
+{"id": 2}
+{"id": 3,, "name": "foo"}`;
+
+{
+  assert.throws(
+    () => parse(FAILING_EXAMPLE_8, {multiple_documents: true}),
+    (err) => checkSyntaxError('Line 3, column 10: Unexpected token: ","')(err) && err.document.index === 2 && err.document.line === 3,
+    "FAILING_EXAMPLE_8"
+  );
+  // Documents are not separated by comas.
+  assert.throws(
+    () => parse('{"a": 1},{"b": 2}', {multiple_documents: true}),
+    (err) => checkSyntaxError('Line 1, column 9: Unexpected token: ","')(err) && err.document.index === 1,
+    "FAILING_EXAMPLE_8"
+  );
+}
+
+{
+  const STRICT_FAILING_EXAMPLES = [
+    ['{"a": 0x1F}', 'Line 1, column 8: Invalid number: 0x1F'],
+    ['[.5]', 'Line 1, column 2: Invalid number: .5'],
+    ['[1.]', 'Line 1, column 4: Invalid number: 1.'],
+    ['[+3]', 'Line 1, column 2: Invalid number: +3'],
+    ['[0b11]', 'Line 1, column 3: Invalid number: 0b11'],
+    ['[-012]', 'Line 1, column 4: Invalid number: -012'],
+    ['[1e+]', 'Line 1, column 5: Invalid number: 1e+'],
+    ['["\\u12g4"]', 'Line 1, column 7: Illegal escape sequence: \\u12g'],
+    ['["a\tb"]', 'Line 1, column 4: Unescaped control character in string: U+0009'],
+    [' ', 'Line 1, column 1: Unexpected end of input'],
+    ['[1e400]', 'Line 1, column 2: Unknown literal value: 1e400'],
+    ['1,2', 'Line 1, column 2: Unexpected token: ","']
+  ];
+  for (const [input, message] of STRICT_FAILING_EXAMPLES) {
+    assert.throws(() => parse(input, {strict: true}), checkSyntaxError(message), input);
+  }
+  // Numbers out of range are not converted to Infinity.
+  assert.throws(() => parse('[-1e400]'), checkSyntaxError('Line 1, column 2: Unknown literal value: -1e400'), "OUT_OF_RANGE");
+}
+
+{
+  const JSON5_FAILING_EXAMPLES = [
+    ['{foo: bar}', 'Line 1, column 7: Unknown literal value: bar'],
+    ['[1, 0b11]', 'Line 1, column 5: Unknown literal value: 0b11'],
+    ['[1, /* comment ]', 'Line 1, column 16: Unterminated comment'],
+    ['[1 / 2]', 'Line 1, column 5: Unexpected character: /'],
+    ['[1,,]', 'Line 1, column 4: Unexpected token: ","'],
+    ['[08]', 'Line 1, column 2: Unknown literal value: 08'],
+    ['[-00.5]', 'Line 1, column 2: Unknown literal value: -00.5'],
+    ['{a: 012}', 'Line 1, column 5: Unknown literal value: 012']
+  ];
+  for (const [input, message] of JSON5_FAILING_EXAMPLES) {
+    assert.throws(() => parse(input, {json5: true}), checkSyntaxError(message), input);
+  }
+}
+
+const FAILING_EXAMPLE_9 = `{
+  "truncated": [1, 2`;
+
+{
+  assert.throws(
+    () => parse(FAILING_EXAMPLE_9),
+    checkSyntaxError('Line 2, column 20: Unterminated array'),
+    "FAILING_EXAMPLE_9"
+  );
+}
+
+{
+  const schema = {
+    type: 'object', required: ['name', 'tags'], additionalProperties: false,
+    properties: {
+      name: {type: 'string', minLength: 2},
+      age: {type: 'integer', minimum: 0},
+      tags: {type: 'array', maxItems: 2, items: {enum: ['a', 'b']}}
+    }
+  };
+  assert.deepStrictEqual(parse('{"name": "Al", "tags": ["a"]}', {schema}), {name: 'Al', tags: ['a']}, "SCHEMA");
+  const SCHEMA_FAILING_EXAMPLES = [
+    ['[]', 'Line 1, column 1: Invalid value at []: Expected object, got array', []],
+    ['{"name": 5}', 'Line 1, column 10: Invalid value at ["name"]: Expected string, got number', ['name']],
+    ['{"name": "A"}', 'Line 1, column 12: Invalid value at ["name"]: Expected at least 2 characters', ['name']],
+    ['{"age": 1.5}', 'Line 1, column 9: Invalid value at ["age"]: Expected integer, got number', ['age']],
+    ['{"age": -1}', 'Line 1, column 9: Invalid value at ["age"]: Expected a number >= 0', ['age']],
+    ['{"other": 1}', 'Line 1, column 8: Invalid value at ["other"]: Unexpected property "other"', ['other']],
+    ['{"tags": ["c"]}', 'Line 1, column 13: Invalid value at ["tags",0]: Expected one of "a", "b"', ['tags', 0]],
+    ['{"tags": ["a", "b", "a"]}', 'Line 1, column 21: Invalid value at ["tags",2]: Expected at most 2 items', ['tags', 2]],
+    ['{"name": "Al"}', 'Line 1, column 14: Invalid value at []: Missing required properties: "tags"', []]
+  ];
+  for (const [input, message, path] of SCHEMA_FAILING_EXAMPLES) {
+    assert.throws(
+      () => parse(input, {schema}),
+      err => err instanceof ValidationError && err.message === message && assert.deepStrictEqual(err.path, path) === undefined,
+      input);
+  }
+  // Violations are reported as soon as possible, without waiting for the end of the input.
+  let parser = new Parser({schema});
+  parser.push('{"name": "Al", "tags": [');
+  assert.throws(() => parser.push('"a", "c"'), ValidationError, "SCHEMA");
+  parser = new Parser({schema, repair: true});
+  parser.push('{"tags": ["a"');
+  assert.throws(() => parser.close(), /Missing required properties: "name"/, "SCHEMA");
+}
+
+{
+  const LIMIT_FAILING_EXAMPLES = [
+    ['[[[1]]]', {max_depth: 2}, 'Line 1, column 3: Too deeply nested (max_depth: 2)', [0, 0]],
+    ['{"a": "abcdef"}', {max_string_length: 5}, 'Line 1, column 13: String too long (max_string_length: 5)', ['a']],
+    ['{"abcdef": 1}', {max_string_length: 5}, 'Line 1, column 8: String too long (max_string_length: 5)', []],
+    ['[1, 123456789]', {max_number_length: 5}, 'Line 1, column 10: Literal value too long (max_number_length: 5)', [1]],
+    ['{"a": 1, "b": 2, "c": 3}', {max_keys_per_object: 2}, 'Line 1, column 20: Too many properties (max_keys_per_object: 2)', ['c']],
+    ['{"x": [1, 2, 3]}', {max_array_length: 2}, 'Line 1, column 14: Too many items (max_array_length: 2)', ['x', 2]],
+    ['[1, 2, 3]', {max_total_chars: 5}, 'Line 1, column 6: Input too long (max_total_chars: 5)', [1]]
+  ];
+  for (const [input, options, message, path] of LIMIT_FAILING_EXAMPLES) {
+    assert.throws(
+      () => parse(input, options),
+      err => checkSyntaxError(message)(err) && err instanceof LimitError && err.limit in options &&
+        assert.deepStrictEqual(err.path, path) === undefined,
+      input);
+    assert.doesNotThrow(() => parse(input), input);
+  }
+  // Limits are checked while parsing, before the end of the input is reached.
+  let parser = new Parser({max_string_length: 10});
+  parser.push('["');
+  assert.throws(() => parser.push('x'.repeat(11)), LimitError, "LIMITS");
+}
+
+{
+  assert.throws(
+    () => parse('{"a": {"__proto__": {}}}', {reject_proto_keys: true}),
+    checkSyntaxError('Line 1, column 18: Forbidden property name: __proto__'),
+    "REJECT_PROTO_KEYS");
+  assert.throws(
+    () => parse('{"constructor": 1}', {reject_proto_keys: true}),
+    checkSyntaxError('Line 1, column 14: Forbidden property name: constructor'),
+    "REJECT_PROTO_KEYS");
+  assert.throws(() => applyPatch({}, [{op: 'add', path: '/__proto__/polluted', value: true}]), /Invalid patch path/, "PROTO");
+  assert.strictEqual({}.polluted, undefined, "PROTO");
+}
+
+{
+  assert.throws(
+    () => parse('{"a": 1, "b": 2, "a": 3}', {duplicate_keys: 'error'}),
+    checkSyntaxError('Line 1, column 20: Duplicate property name: a'),
+    "DUPLICATE_KEYS");
+}
+
+{
+  let parser = new Parser({json5: true, reviver: (key, value) => value});
+  parser.push('{"a": [1, {"b": "xy');
+  const state = JSON.parse(JSON.stringify(parser.saveState()));
+  assert.throws(() => Parser.fromState({...state, version: 0}), /Unsupported parser state version: 0/, "STATE");
+  assert.throws(() => Parser.fromState(state), /The options must be given to restore the parser state/, "STATE");
+  assert.throws(() => Parser.fromState(state, {reviver: value => value}), /The options differ/, "STATE");
+  const options = {reviver: value => value, json5: true};
+  assert.doesNotThrow(() => Parser.fromState(state, options), "STATE");
+  const corruptedStates = [
+    {...state, stack: []},
+    {...state, stack: [state.stack[0], {...state.stack[1], isArray: true}, state.stack[2]]},
+    {...state, lexer: {...state.lexer, mode: 42}},
+    {...state, lexer: {...state.lexer, location: null}},
+    {...state, value: {}},
+    {...state, decoder: {byteOffset: 10, pendingBytes: [0x41]}},
+    {...state, hasPlaceholder: true}
+  ];
+  for (const corruptedState of corruptedStates) {
+    assert.throws(() => Parser.fromState(corruptedState, options), /Invalid parser state/, "STATE");
+  }
+  parser = new Parser({json5: true});
+  parser.push('[Infinity');
+  assert.doesNotThrow(() => parser.saveState(), "STATE");
+  parser.push(',');
+  assert.throws(() => parser.saveState(), /cannot be serialized/, "STATE");
+  parser = new Parser();
+  parser.setPlaceholder([1, , 3]);
+  parser.push('[1');
+  assert.throws(() => parser.saveState(), /cannot be serialized: array with holes/, "STATE");
+}
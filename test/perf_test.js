@@ -75,8 +75,8 @@ function splitStringIntoChunks(str, chunkSize) {
   return result;
 }
 
-function parseInChunks(str, chunkSize, opt_placeholder) {
-  let parser = new Parser({include_incomplete_strings: '...'});
+function parseInChunks(str, chunkSize, opt_placeholder, opt_options) {
+  let parser = new Parser({include_incomplete_strings: '...', ...opt_options});
   if (opt_placeholder) parser.setPlaceholder(opt_placeholder);
   for (const chunk of chunkSize ? splitStringIntoChunks(str, chunkSize) : [str]) {
     parser.push(chunk);
@@ -85,6 +85,25 @@ function parseInChunks(str, chunkSize, opt_placeholder) {
   return parser.getValue();
 }
 
+// Run a benchmark suite, and print how much slower than JSON.parse each benchmark is.
+function runSuite(benchmarks) {
+  const suite = new benchmark.Suite;
+  for (const [name, fn] of Object.entries(benchmarks)) suite.add(name, fn);
+  suite.on('cycle', function(event) {
+    let bench = event.target;
+    console.log(`${bench.name}: ${(bench.stats.mean * 1000).toFixed(2)} ms/op (${bench.hz.toFixed(2)} ops/sec, ${bench.stats.sample.length} runs)`);
+  });
+  suite.on('complete', function() {
+    const jsonParseBench = this.filter(bench => bench.name === 'JSON.parse')[0];
+    this.forEach(bench => {
+      if (bench === jsonParseBench) return;
+      const ratio = bench.stats.mean / jsonParseBench.stats.mean;
+      console.log(`${bench.name} is ${(ratio).toFixed(2)}x slower than JSON.parse`);
+    });
+  });
+  suite.run();
+}
+
 {
   console.log('Starting with a small test to check everything is OK');
   let smallObj = generateRandomJson('abc', 2);
@@ -95,24 +114,29 @@ function parseInChunks(str, chunkSize, opt_placeholder) {
   let str = JSON.stringify(obj);
   console.log(str.length + ' characters');
 
-  const suite = new benchmark.Suite;
-  suite.add('JSON.parse', function() {
-    JSON.parse(str);
-  });
-  suite.add('parseInChunks', function() {
-    parseInChunks(str, 0);
+  // In extraction mode, the JSON value is surrounded by prose and a code fence.
+  const wrap = text => 'Here is the result:\n```json\n' + text + '\n```\nDone.';
+  assert.deepStrictEqual(parseInChunks(wrap(JSON.stringify(smallObj)), 0, undefined, {extract: true}), smallObj);
+  const wrappedStr = wrap(str);
+  runSuite({
+    'JSON.parse': () => JSON.parse(str),
+    'parseInChunks': () => parseInChunks(str, 0),
+    'parseInChunks (1000 characters chunks)': () => parseInChunks(str, 1000),
+    'parseInChunks (extraction mode)': () => parseInChunks(wrappedStr, 0, undefined, {extract: true})
   });
-  suite.on('cycle', function(event) {
-    let bench = event.target;
-    console.log(`${bench.name}: ${(bench.stats.mean * 1000).toFixed(2)} ms/op (${bench.hz.toFixed(2)} ops/sec, ${bench.stats.sample.length} runs)`);
-  });
-  suite.on('complete', function() {
-    const jsonParseBench = this.filter(bench => bench.name === 'JSON.parse')[0];
-    const parseInChunksBench = this.filter(bench => bench.name === 'parseInChunks')[0];
-    if (jsonParseBench && parseInChunksBench) {
-      const ratio = parseInChunksBench.stats.mean / jsonParseBench.stats.mean;
-      console.log(`parseInChunks is ${(ratio).toFixed(2)}x slower than JSON.parse`);
-    }
+}
+
+{
+  console.log('Generating a JSON object with long strings');
+  let obj = Array.from({length: 1000}, (_, index) => ({id: index, text: 'Lorem ipsum dolor sit amet. '.repeat(400)}));
+  let str = JSON.stringify(obj);
+  console.log(str.length + ' characters');
+  assert.deepStrictEqual(parseInChunks(str, 1000), obj);
+  assert.deepStrictEqual(parseInChunks(str, 1000, undefined, {extract: true}), obj);
+  runSuite({
+    'JSON.parse': () => JSON.parse(str),
+    'parseInChunks': () => parseInChunks(str, 0),
+    'parseInChunks (1000 characters chunks)': () => parseInChunks(str, 1000),
+    'parseInChunks (extraction mode, 1000 characters chunks)': () => parseInChunks(str, 1000, undefined, {extract: true})
   });
-  suite.run();
 }
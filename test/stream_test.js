@@ -0,0 +1,49 @@
+// Unit tests for the stream-based interfaces.
+
+import assert from 'assert';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { SyntaxError } from '../src/error.js';
+import { createParserTransform } from '../src/node.js';
+import { createParserStream } from '../src/streams.js';
+
+async function collect(readable) {
+  let results = [];
+  for await (const result of readable) results.push(result);
+  return results;
+}
+
+{
+  const input = ReadableStream.from(['{"foo": 1, "bar', '": [2', ', 3]}']);
+  const results = await collect(input.pipeThrough(createParserStream({track_events: true})));
+  assert.deepStrictEqual(results.map(result => result.done), [false, false, false, true], "WEB_STREAM_1");
+  assert.deepStrictEqual(results.at(-1).root, {foo: 1, bar: [2, 3]}, "WEB_STREAM_1");
+  assert.deepStrictEqual(results[2].events, [{type: 'set', path: ['bar', 0], raw: '2'}, {type: 'set', path: ['bar', 1], raw: '3'}, {type: 'end', path: ['bar']}, {type: 'end', path: []}], "WEB_STREAM_1");
+}
+
+{
+  const input = ReadableStream.from(['{"foo": [1, 2']);
+  await assert.rejects(
+    collect(input.pipeThrough(createParserStream())),
+    (err) => err instanceof SyntaxError && err.message === 'Line 1, column 13: Unterminated array',
+    "WEB_STREAM_2"
+  );
+}
+
+{
+  // The euro sign is split across two buffers.
+  const euro = Buffer.from('["€"]');
+  const input = Readable.from([euro.subarray(0, 3), euro.subarray(3)]);
+  const results = await collect(input.pipe(createParserTransform()));
+  assert.deepStrictEqual(results.at(-1), {
+    root: ['€'], events: undefined, items: undefined, documents: undefined, repairs: undefined, patches: undefined, done: true
+  }, "NODE_STREAM_1");
+}
+
+{
+  await assert.rejects(
+    pipeline(Readable.from(['{"foo": 1']), createParserTransform(), new Writable({objectMode: true, write(chunk, encoding, callback) { callback(); }})),
+    (err) => err instanceof SyntaxError && err.message === 'Line 1, column 9: Unterminated object',
+    "NODE_STREAM_2"
+  );
+}
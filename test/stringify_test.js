@@ -0,0 +1,97 @@
+// Unit tests for the streaming serializer.
+
+import assert from 'assert';
+import { Parser } from '../src/parser.js';
+import { stringify, stringifyAsync } from '../src/stringify.js';
+
+// Parse the chunks produced by the serializer.
+function parseChunks(chunks, opt_options) {
+  let parser = new Parser(opt_options);
+  for (const chunk of chunks) parser.push(chunk);
+  parser.close();
+  return parser.getValue();
+}
+
+async function collect(iterator) {
+  let chunks = [];
+  for await (const chunk of iterator) chunks.push(chunk);
+  return chunks;
+}
+
+const EXAMPLE = {
+  name: 'Kyoto "京都"\n\ud800',
+  numbers: [0, -0, 1.5e-7, 1e21, NaN, Infinity],
+  flags: [true, false, null],
+  skipped: undefined,
+  items: [undefined, () => 1, {nested: [[], {}], date: new Date(0)}, , new String('boxed')],
+  __proto__: null
+};
+EXAMPLE['__proto__'] = {own: true};
+
+{
+  // The text is the same as the one of JSON.stringify(), and it round-trips through the parser.
+  for (const indent of [undefined, 2, '\t']) {
+    for (const replacer of [undefined, (key, value) => typeof value === 'number' ? value * 2 : value, ['name', 'flags']]) {
+      const expected = JSON.stringify(EXAMPLE, replacer, indent);
+      for (const chunk_size of [1, 10, undefined]) {
+        const chunks = [...stringify(EXAMPLE, {indent, replacer, chunk_size})];
+        assert.strictEqual(chunks.join(''), expected, "STRINGIFY");
+        if (chunk_size === 1) assert(chunks.length > 5, "STRINGIFY");
+        assert.deepStrictEqual(parseChunks(chunks), JSON.parse(expected), "STRINGIFY");
+      }
+    }
+  }
+  assert.deepStrictEqual([...stringify(undefined)], [], "STRINGIFY");
+}
+
+{
+  // Iterables, key ordering, BigInt and the path given to the replacer.
+  function* generateItems() {
+    yield 1;
+    yield new Set(['a']);
+  }
+  let paths = [];
+  const replacer = (key, value, path) => { paths.push(path); return value; };
+  const text = [...stringify({b: generateItems(), a: 12345678901234567890n}, {sort_keys: true, replacer})].join('');
+  assert.strictEqual(text, '{"a":12345678901234567890,"b":[1,["a"]]}', "STRINGIFY_ITERABLES");
+  assert.deepStrictEqual(paths, [[], ['a'], ['b'], ['b', 0], ['b', 1], ['b', 1, 0]], "STRINGIFY_ITERABLES");
+  assert.deepStrictEqual(parseChunks([text], {number: 'bigint'}), {a: 12345678901234567890n, b: [1, ['a']]}, "STRINGIFY_ITERABLES");
+  assert.strictEqual([...stringify({b: 1, a: 2, c: 3}, {sort_keys: (a, b) => a < b ? 1 : -1})].join(''), '{"c":3,"b":1,"a":2}',
+    "STRINGIFY_SORT_KEYS");
+}
+
+{
+  let value = {a: [1]};
+  value.a.push(value);
+  assert.throws(() => [...stringify(value)], {name: 'TypeError', message: 'Circular reference at ["a",1]'}, "STRINGIFY_CYCLE");
+  // A value which appears twice but not in a cycle is not circular.
+  const shared = {x: 1};
+  assert.strictEqual([...stringify([shared, shared])].join(''), '[{"x":1},{"x":1}]', "STRINGIFY_CYCLE");
+}
+
+{
+  async function* generateItems() {
+    for (let index = 0; index < 3; ++index) {
+      await null;
+      yield {index};
+    }
+  }
+  const chunks = await collect(stringifyAsync({items: generateItems(), done: true}, {indent: 1, chunk_size: 1}));
+  assert.strictEqual(chunks.join(''), JSON.stringify({items: [{index: 0}, {index: 1}, {index: 2}], done: true}, null, 1),
+    "STRINGIFY_ASYNC");
+  assert.throws(() => [...stringify({items: generateItems()})], TypeError, "STRINGIFY_ASYNC");
+}
+
+{
+  // The iterators are closed when the consumer stops early.
+  let isClosed = false;
+  async function* generateItems() {
+    try {
+      while (true) yield 'item';
+    } finally {
+      isClosed = true;
+    }
+  }
+  for await (const chunk of stringifyAsync(generateItems(), {chunk_size: 1})) break;
+  assert(isClosed, "STRINGIFY_ASYNC_RETURN");
+}
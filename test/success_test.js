@@ -2,6 +2,8 @@
 
 import assert from 'assert';
 import { Parser } from '../src/parser.js';
+import { applyPatch } from '../src/patch.js';
+import { createPlaceholder } from '../src/schema.js';
 
 function splitStringIntoChunks(str, chunkSize) {
   return str.match(new RegExp("(.|[\n\r]){1," + chunkSize + "}", "g"));
@@ -124,18 +126,18 @@ const EXAMPLE_5 = {
 const EXPECTED_EVENTS_5 = [
   { "type": "begin", "path": [] },
   { "type": "begin", "path": ["a"] },
-  { "type": "set", "path": ["a", 0] },
-  { "type": "set", "path": ["a", 1] },
-  { "type": "set", "path": ["a", 2] },
+  { "type": "set", "path": ["a", 0], "raw": "1" },
+  { "type": "set", "path": ["a", 1], "raw": "2" },
+  { "type": "set", "path": ["a", 2], "raw": "3" },
   { "type": "end", "path": ["a"] },
   { "type": "begin", "path": ["b"] },
-  { "type": "set", "path": ["b", "c"] },
+  { "type": "set", "path": ["b", "c"], "raw": "4" },
   { "type": "begin", "path": ["b", "d"] },
-  { "type": "set", "path": ["b", "d", "e"] },
-  { "type": "set", "path": ["b", "d", "f"] },
+  { "type": "set", "path": ["b", "d", "e"], "raw": "5" },
+  { "type": "set", "path": ["b", "d", "f"], "raw": "6" },
   { "type": "end", "path": ["b", "d"] },
   { "type": "end", "path": ["b"] },
-  { "type": "set", "path": ["g"] },
+  { "type": "set", "path": ["g"], "raw": "7" },
   { "type": "end", "path": [] }
 ];
 
@@ -146,4 +148,482 @@ const EXPECTED_EVENTS_5 = [
   parser.close();
   let events = parser.takeEvents();
   assert.deepStrictEqual(events, EXPECTED_EVENTS_5, "EXAMPLE_5");
-}
\ No newline at end of file
+}
+
+{
+  // null is a literal value, which produces a set event.
+  let parser = new Parser({track_events: true});
+  parser.push('{"a": null, "b": [null]}');
+  parser.close();
+  assert.deepStrictEqual(parser.takeEvents(), [
+    {type: 'begin', path: []},
+    {type: 'set', path: ['a']},
+    {type: 'begin', path: ['b']},
+    {type: 'set', path: ['b', 0]},
+    {type: 'end', path: ['b']},
+    {type: 'end', path: []}
+  ], "NULL_EVENTS");
+}
+
+{
+  // Parse UTF-8 bytes (with a BOM) one byte at a time, so that multi-byte characters are split.
+  let parser = new Parser();
+  const bytes = new TextEncoder().encode('\uFEFF' + JSON.stringify(EXAMPLE_3));
+  for (let index = 0; index < bytes.length; ++index) parser.pushBytes(bytes.subarray(index, index + 1));
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), EXAMPLE_3, "EXAMPLE_3 (bytes)");
+}
+
+{
+  let parser = new Parser({include_incomplete_strings: true});
+  let completed = [];
+  let partial = [];
+  parser.on('$..d[*]', (value, path) => completed.push([path, value]));
+  parser.on('$.a[1]', (value, path) => completed.push([path, value]));
+  parser.on('$.b.d', (value, path) => partial.push(JSON.stringify(value)), {partial: true});
+  parser.push('{"a": [1, null, 3], "b": {"c": 4, "d": ["x');
+  parser.push('yz", {"e": 5}]}}');
+  parser.close();
+  assert.deepStrictEqual(completed, [
+    [['a', 1], null],
+    [['b', 'd', 0], 'xyz'],
+    [['b', 'd', 1], {e: 5}]
+  ], "SUBSCRIPTIONS");
+  assert.deepStrictEqual(partial, ['[]', '["x"]', '["xyz"]', '["xyz",{}]', '["xyz",{"e":5}]', '["xyz",{"e":5}]', '["xyz",{"e":5}]'], "SUBSCRIPTIONS (partial)");
+}
+
+{
+  let parser = new Parser({select: ['$.meta', '$.results[*].id'], track_events: true});
+  parser.push('{"meta": {"count": 2}, "results": [{"id": 1, "name": "foo", "tags": ["a"]}, {"name": "bar", "id": 2}], "other": {"x": "y"}}');
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), {meta: {count: 2}, results: [{id: 1}, {id: 2}]}, "SELECT");
+  assert.strictEqual(parser.takeEvents().length, 21, "SELECT (events)");
+}
+
+{
+  // The items which are not selected are skipped, and callbacks are only called for the nodes which are built.
+  let parser = new Parser({select: ['$.a[1]', '$.b[*].id'], track_patches: true});
+  let completed = [];
+  parser.on('$.*[*]', (value, path) => completed.push([path, value]));
+  parser.push('{"a": [1, [2], {"c": 3}], "b": [4, {"id": 5}, "six", {"id": 7, "x": 8}, {}]}');
+  parser.close();
+  const expected = {a: [[2]], b: [{id: 5}, {id: 7}, {}]};
+  assert.deepStrictEqual(parser.getValue(), expected, "SELECT_ARRAY_ITEMS");
+  assert.deepStrictEqual(applyPatch(undefined, parser.takePatches()), expected, "SELECT_ARRAY_ITEMS (patches)");
+  assert.deepStrictEqual(completed, [
+    [['a', 1], [2]],
+    [['b', 1], {id: 5}],
+    [['b', 3], {id: 7}],
+    [['b', 4], {}]
+  ], "SELECT_ARRAY_ITEMS (callbacks)");
+}
+
+{
+  let parser = new Parser({stream_items: '$.records', track_events: true});
+  let items = [];
+  parser.push('{"count": 3, "records": [{"id": 1}, "two", [3');
+  items.push(...parser.takeItems());
+  assert.deepStrictEqual(parser.getValue(), {count: 3, records: [[]]}, "STREAM_ITEMS (partial)");
+  parser.push(']]}');
+  parser.close();
+  items.push(...parser.takeItems());
+  assert.deepStrictEqual(items, [
+    {value: {id: 1}, path: ['records', 0]},
+    {value: 'two', path: ['records', 1]},
+    {value: [3], path: ['records', 2]}
+  ], "STREAM_ITEMS");
+  assert.deepStrictEqual(parser.getValue(), {count: 3, records: []}, "STREAM_ITEMS");
+  assert.deepStrictEqual(parser.takeEvents().filter(event => event.type === 'end').map(event => event.path),
+    [['records', 0], ['records', 2], ['records'], []], "STREAM_ITEMS (events)");
+}
+
+{
+  let items = [];
+  let parser = new Parser({stream_items: '$.records', on_item: (value, path) => items.push({value, path})});
+  parser.push('{"records": [{"id": 1}, "two"');
+  assert.deepStrictEqual(items, [{value: {id: 1}, path: ['records', 0]}, {value: 'two', path: ['records', 1]}], "STREAM_ITEMS_CALLBACK");
+  parser.push(', 3]}');
+  parser.close();
+  assert.deepStrictEqual(items.at(-1), {value: 3, path: ['records', 2]}, "STREAM_ITEMS_CALLBACK");
+  assert.deepStrictEqual(parser.takeItems(), [], "STREAM_ITEMS_CALLBACK");
+  assert.deepStrictEqual(parser.getValue(), {records: []}, "STREAM_ITEMS_CALLBACK");
+}
+
+{
+  let parser = new Parser({multiple_documents: true, track_events: true});
+  parser.push('{"a": 1}\n[2');
+  parser.push(']\n"three"{"b"');
+  parser.push(': 4} 5');
+  parser.close();
+  assert.deepStrictEqual(parser.takeDocuments(), [
+    {value: {a: 1}, index: 0, line: 1},
+    {value: [2], index: 1, line: 2},
+    {value: 'three', index: 2, line: 3},
+    {value: {b: 4}, index: 3, line: 3},
+    {value: 5, index: 4, line: 3}
+  ], "MULTIPLE_DOCUMENTS");
+  assert.deepStrictEqual(parser.getValue(), 5, "MULTIPLE_DOCUMENTS");
+  assert.deepStrictEqual(parser.takeEvents()[2], {type: 'end', path: [], document: {index: 0, line: 1}}, "MULTIPLE_DOCUMENTS (events)");
+}
+
+{
+  const input = '{"numbers": [0, -0, 12, -1.5, 2e10, 3.25E-2], "escapes": "\\u00e9\\u00E8\\n\\/\\\\"}';
+  assert.deepStrictEqual(parseInChunks(input, 3), JSON.parse(input), "ESCAPES");
+  let parser = new Parser({strict: true});
+  parser.push(input);
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), JSON.parse(input), "STRICT");
+}
+
+const EXAMPLE_JSON5 = `// A JSON5 document.
+{
+  unquoted: 'and you can quote me on that',
+  singleQuotes: 'I can use "double quotes" here',
+  lineBreaks: "Look, Mom! \\
+No \\\\n's!",
+  hexadecimal: 0xdecaf,
+  leadingDecimalPoint: .8675309, andTrailing: 8675309.,
+  positiveSign: +1,
+  trailingComma: 'in objects', andIn: ['arrays',],
+  /* Special
+     numbers */ "backwardsCompatible": "with JSON",
+  null: [Infinity, -Infinity, NaN, -0x10],
+  escapes: '\\x41\\'\\v',
+}
+`;
+
+{
+  let parser = new Parser({json5: true, include_incomplete_strings: true});
+  for (const chunk of splitStringIntoChunks(EXAMPLE_JSON5, 3)) parser.push(chunk);
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), {
+    unquoted: 'and you can quote me on that',
+    singleQuotes: 'I can use "double quotes" here',
+    lineBreaks: "Look, Mom! No \\n's!",
+    hexadecimal: 0xdecaf,
+    leadingDecimalPoint: .8675309, andTrailing: 8675309,
+    positiveSign: 1,
+    trailingComma: 'in objects', andIn: ['arrays'],
+    backwardsCompatible: 'with JSON',
+    null: [Infinity, -Infinity, NaN, -16],
+    escapes: 'A\'\v'
+  }, "EXAMPLE_JSON5");
+}
+
+{
+  const input = 'Sure! Here is the result:\n```json {"not": "this"}\n{"name": "Kyoto", "tags": ["temple"]}\n```\nHope this helps {:}';
+  for (const chunkSize of [1, 2, 5, 100]) {
+    let parser = new Parser({extract: true});
+    for (const chunk of splitStringIntoChunks(input, chunkSize)) parser.push(chunk);
+    parser.close();
+    assert.deepStrictEqual(parser.getValue(), {name: 'Kyoto', tags: ['temple']}, "EXTRACT");
+  }
+}
+
+{
+  const REPAIR_EXAMPLES = [
+    ['{"a": [1, 2', {a: [1, 2]}, [
+      {path: ['a'], kind: 'close_array'}, {path: [], kind: 'close_object'}]],
+    ['{"a": "foo\\u00', {a: 'foo'}, [
+      {path: ['a'], kind: 'close_string'}, {path: [], kind: 'close_object'}]],
+    ['{"a": 1, "b": tr', {a: 1}, [
+      {path: ['b'], kind: 'drop_literal'}, {path: ['b'], kind: 'drop_key'}, {path: [], kind: 'close_object'}]],
+    ['[{"a": 1}, {"b', [{a: 1}, {}], [
+      {path: [1, 'b'], kind: 'drop_key'}, {path: [1], kind: 'close_object'}, {path: [], kind: 'close_array'}]],
+    ['[1, [true,', [1, [true]], [
+      {path: [1], kind: 'drop_comma'}, {path: [1], kind: 'close_array'}, {path: [], kind: 'close_array'}]],
+    ['{"a": 1}', {a: 1}, []]
+  ];
+  for (const [input, value, repairs] of REPAIR_EXAMPLES) {
+    let parser = new Parser({repair: true, include_incomplete_strings: '...'});
+    parser.push(input);
+    parser.close();
+    assert.deepStrictEqual(parser.getValue(), value, input);
+    assert.deepStrictEqual(parser.getRepairs(), repairs, input);
+  }
+}
+
+{
+  const input = '{"id": 12345678901234567890, "small": -42, "price": 19.99, "rate": 1e400}';
+  const parseWithNumberOption = (number, opt_input) => {
+    let parser = new Parser({number, track_events: true});
+    parser.push(opt_input ?? input);
+    parser.close();
+    return {value: parser.getValue(), events: parser.takeEvents()};
+  };
+  // Numbers out of range are only accepted if their source text is used.
+  assert.throws(() => parseWithNumberOption('bigint'), /Unknown literal value: 1e400/, "NUMBER (bigint)");
+  assert.deepStrictEqual(parseWithNumberOption('bigint', input.replace('1e400', '1e4')).value,
+    {id: 12345678901234567890n, small: -42, price: 19.99, rate: 10000}, "NUMBER (bigint)");
+  const {value, events} = parseWithNumberOption('string');
+  assert.deepStrictEqual(value, {id: '12345678901234567890', small: '-42', price: '19.99', rate: '1e400'}, "NUMBER (string)");
+  assert.deepStrictEqual(events[1], {type: 'set', path: ['id'], raw: '12345678901234567890'}, "NUMBER (events)");
+  // The source text is also given without the option, when numbers may lose precision.
+  const defaultEvents = parseWithNumberOption(undefined, input.replace('1e400', '1e4')).events;
+  assert.deepStrictEqual(defaultEvents[1], {type: 'set', path: ['id'], raw: '12345678901234567890'}, "NUMBER (events)");
+  let calls = [];
+  assert.deepStrictEqual(parseWithNumberOption((text, path) => { calls.push(path.join('.')); return text.length; }).value,
+    {id: 20, small: 3, price: 5, rate: 5}, "NUMBER (function)");
+  assert.deepStrictEqual(calls, ['id', 'small', 'price', 'rate'], "NUMBER (function)");
+}
+
+{
+  const input = '{"date": "2025-10-01T12:00:00Z", "secret": "xyz", "items": [1, 2, {"n": 3}], "nested": {"secret": 1, "ok": true}}';
+  const reviver = function(key, value) {
+    if (key === 'secret') return undefined;
+    if (key === 'date') return new Date(value);
+    if (typeof value === 'number') return value * 10;
+    if (key === '') return {root: value};
+    return value;
+  };
+  let calls = [];
+  let parser = new Parser({reviver: function(key, value, path) {
+    calls.push([key, path.join('.')]);
+    return reviver.call(this, key, value);
+  }});
+  for (const chunk of splitStringIntoChunks(input, 7)) parser.push(chunk);
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), JSON.parse(input, reviver), "REVIVER");
+  assert.deepStrictEqual(calls.slice(0, 6), [['date', 'date'], ['secret', 'secret'], ['0', 'items.0'], ['1', 'items.1'], ['n', 'items.2.n'], ['2', 'items.2']], "REVIVER");
+  assert.deepStrictEqual(calls.at(-1), ['', ''], "REVIVER");
+}
+
+{
+  let parser = new Parser({immutable: true, freeze: true, include_incomplete_strings: true});
+  parser.push('{"done": {"a": [1, 2]}, "pending": [{"x": 1}, {"y": "fo');
+  const snapshot1 = parser.getValue();
+  assert.strictEqual(parser.getValue(), snapshot1, "IMMUTABLE");
+  parser.push('o"}');
+  const snapshot2 = parser.getValue();
+  assert.deepStrictEqual(snapshot1, {done: {a: [1, 2]}, pending: [{x: 1}, {y: 'fo'}]}, "IMMUTABLE");
+  assert.deepStrictEqual(snapshot2, {done: {a: [1, 2]}, pending: [{x: 1}, {y: 'foo'}]}, "IMMUTABLE");
+  assert.notStrictEqual(snapshot1, snapshot2, "IMMUTABLE");
+  assert.strictEqual(snapshot1.done, snapshot2.done, "IMMUTABLE");
+  assert.strictEqual(snapshot1.pending[0], snapshot2.pending[0], "IMMUTABLE");
+  assert.notStrictEqual(snapshot1.pending[1], snapshot2.pending[1], "IMMUTABLE");
+  assert.ok(Object.isFrozen(snapshot2.pending), "IMMUTABLE");
+  parser.push(']}');
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), snapshot2, "IMMUTABLE");
+}
+
+{
+  for (const options of [{}, {stream_items: '$.tags'}]) {
+    let parser = new Parser({track_patches: true, include_incomplete_strings: true, ...options});
+    let mirror;
+    let patches = [];
+    for (const chunk of splitStringIntoChunks(JSON.stringify(EXAMPLE_2), 4)) {
+      parser.push(chunk);
+      patches.push(parser.takePatches());
+      mirror = applyPatch(mirror, patches.at(-1));
+      assert.deepStrictEqual(mirror, parser.getValue(), "PATCHES");
+    }
+    parser.close();
+    assert.deepStrictEqual(applyPatch(mirror, parser.takePatches()), parser.getValue(), "PATCHES");
+    assert.deepStrictEqual(patches[0], [{op: 'add', path: '', value: {}}], "PATCHES");
+    assert.ok(patches.flat().some(operation => operation.op === 'append'), "PATCHES");
+  }
+  // A reviver replaces a string which has been appended to in the same push.
+  let parser = new Parser({track_patches: true, include_incomplete_strings: true, reviver: (key, value) => key === 'd' ? 42 : value});
+  parser.push('{"d":"ab');
+  let mirror = applyPatch(undefined, parser.takePatches());
+  parser.push('cd"');
+  mirror = applyPatch(mirror, parser.takePatches());
+  assert.deepStrictEqual(mirror, parser.getValue(), "PATCHES_REVIVER");
+  parser.push('}');
+  parser.close();
+  assert.deepStrictEqual(applyPatch(mirror, parser.takePatches()), {d: 42}, "PATCHES_REVIVER");
+  // The following items are shifted when the reviver deletes an array item.
+  parser = new Parser({track_patches: true, reviver: (key, value) => value === 2 ? undefined : value});
+  mirror = undefined;
+  for (const chunk of ['[1, 2', ', [2, 3], 4', ']']) {
+    parser.push(chunk);
+    mirror = applyPatch(mirror, parser.takePatches());
+    assert.deepStrictEqual(mirror, parser.getValue(), "PATCHES_REVIVER");
+  }
+  parser.close();
+  assert.deepStrictEqual(applyPatch(mirror, parser.takePatches()), [1, [3], 4], "PATCHES_REVIVER");
+  assert.deepStrictEqual(parser.getValue(), [1, [3], 4], "PATCHES_REVIVER");
+}
+
+{
+  let parser = new Parser({track_events: true, detailed_events: true, event_offsets: true});
+  parser.push('{"a": "he');
+  parser.push('llo", "b": [1, true]}');
+  assert.deepStrictEqual(parser.takeEvents(), [
+    {type: 'begin', path: [], offset: 0},
+    {type: 'key', path: ['a'], key: 'a', offset: 3},
+    {type: 'start_string', path: ['a'], offset: 6},
+    {type: 'append', path: ['a'], text: 'he', offset: 8},
+    {type: 'append', path: ['a'], text: 'llo', offset: 12},
+    {type: 'end_string', path: ['a'], offset: 12},
+    {type: 'set', path: ['a'], value: 'hello', offset: 12},
+    {type: 'key', path: ['b'], key: 'b', offset: 17},
+    {type: 'begin', path: ['b'], offset: 20},
+    {type: 'set', path: ['b', 0], value: 1, raw: '1', offset: 21},
+    {type: 'set', path: ['b', 1], value: true, offset: 24},
+    {type: 'end', path: ['b'], offset: 28},
+    {type: 'end', path: [], offset: 29}
+  ], "DETAILED_EVENTS");
+}
+
+{
+  const schema = {
+    type: 'object',
+    properties: {
+      title: {type: 'string'},
+      rating: {type: ['integer', 'null'], default: 3},
+      tags: {type: 'array', items: {type: 'string'}},
+      author: {properties: {name: {type: 'string'}, verified: {type: 'boolean'}}},
+      note: {type: 'null'}
+    }
+  };
+  assert.deepStrictEqual(createPlaceholder(schema),
+    {title: '', rating: 3, tags: [], author: {name: '', verified: false}, note: null}, "SCHEMA_PLACEHOLDER");
+  for (const [placeholder_policy, expected] of [
+    ['remove', {title: 'Dune', author: {name: 'Herbert'}}],
+    ['keep', {title: 'Dune', rating: 3, tags: [], author: {name: 'Herbert', verified: false}, note: null}]
+  ]) {
+    let parser = new Parser({schema, placeholder_policy, include_incomplete_strings: true});
+    parser.setPlaceholderFromSchema();
+    parser.push('{"title": "Du');
+    assert.deepStrictEqual(parser.getValue(),
+      {title: 'Du', rating: 3, tags: [], author: {name: '', verified: false}, note: null}, "SCHEMA_PLACEHOLDER");
+    parser.push('ne", "author": {"name": "Herbert"}}');
+    parser.close();
+    assert.deepStrictEqual(parser.getValue(), expected, "SCHEMA_PLACEHOLDER");
+  }
+}
+
+{
+  const PROTO_EXAMPLE = '{"__proto__": {"polluted": true}, "a": [{"__proto__": 1, "constructor": 2}]}';
+  for (const options of [{}, {immutable: true}, {null_prototype: true}]) {
+    let parser = new Parser({track_patches: true, ...options});
+    parser.push(PROTO_EXAMPLE);
+    parser.close();
+    const value = parser.getValue();
+    const mirror = applyPatch(undefined, parser.takePatches());
+    for (const result of [value, mirror]) {
+      assert.deepStrictEqual(Object.keys(result), ['__proto__', 'a'], "PROTO");
+      assert.deepStrictEqual({...result.__proto__}, {polluted: true}, "PROTO");
+      assert.deepStrictEqual(Object.entries(result.a[0]), [['__proto__', 1], ['constructor', 2]], "PROTO");
+    }
+    assert.strictEqual(Object.getPrototypeOf(value), options.null_prototype ? null : Object.prototype, "PROTO");
+    assert.strictEqual({}.polluted, undefined, "PROTO");
+  }
+}
+
+{
+  const DUPLICATE_KEYS_EXAMPLE = '{"a": 1, "b": {"x": 1}, "a": 2, "b": {"y": 2}, "a": [3]}';
+  for (const [duplicate_keys, expected] of [
+    ['last', JSON.parse(DUPLICATE_KEYS_EXAMPLE)],
+    ['first', {a: 1, b: {x: 1}}],
+    ['collect', {a: [1, 2, [3]], b: [{x: 1}, {y: 2}]}],
+    [(previousValue, value, path) => path[0] === 'a' ? `${previousValue}|${value}` : value, {a: '1|2|3', b: {y: 2}}]
+  ]) {
+    for (const options of [{}, {include_incomplete_strings: true, track_patches: true}]) {
+      let parser = new Parser({duplicate_keys, ...options});
+      for (const chunk of splitStringIntoChunks(DUPLICATE_KEYS_EXAMPLE, 3)) parser.push(chunk);
+      parser.close();
+      assert.deepStrictEqual(parser.getValue(), expected, "DUPLICATE_KEYS");
+      if (options.track_patches) assert.deepStrictEqual(applyPatch(undefined, parser.takePatches()), expected, "DUPLICATE_KEYS");
+    }
+  }
+}
+
+{
+  // The collected value is kept while the value of a duplicate property is parsed, including across saveState().
+  let parser = new Parser({duplicate_keys: 'collect', include_incomplete_strings: true, track_patches: true});
+  parser.push('{"a": "x", "a": ["y", {"z": "t');
+  let mirror = applyPatch(undefined, parser.takePatches());
+  assert.deepStrictEqual(parser.getValue(), {a: 'x'}, "DUPLICATE_KEYS_PENDING");
+  assert.deepStrictEqual(mirror, {a: 'x'}, "DUPLICATE_KEYS_PENDING");
+  parser = Parser.fromState(JSON.parse(JSON.stringify(parser.saveState())));
+  parser.push('u"}], "a": 3');
+  mirror = applyPatch(mirror, parser.takePatches());
+  assert.deepStrictEqual(parser.getValue(), {a: ['x', ['y', {z: 'tu'}]]}, "DUPLICATE_KEYS_PENDING");
+  assert.deepStrictEqual(mirror, parser.getValue(), "DUPLICATE_KEYS_PENDING");
+  parser.push('}');
+  parser.close();
+  mirror = applyPatch(mirror, parser.takePatches());
+  assert.deepStrictEqual(parser.getValue(), {a: ['x', ['y', {z: 'tu'}], 3]}, "DUPLICATE_KEYS_PENDING");
+  assert.deepStrictEqual(mirror, parser.getValue(), "DUPLICATE_KEYS_PENDING");
+}
+
+{
+  const LOCATIONS_EXAMPLE = '{"items": [1, {"name": "xyz"}, true],\n "n": null}';
+  const location = (index, line, column) => ({index, line, column});
+  let parser = new Parser({track_locations: true});
+  parser.push(LOCATIONS_EXAMPLE.slice(0, 26));
+  assert.deepStrictEqual(parser.getLocation(['items', 1, 'name']), {
+    key: {start: location(16, 1, 16), end: location(21, 1, 21)},
+    value: {start: location(24, 1, 24), end: null}
+  }, "LOCATIONS");
+  assert.strictEqual(parser.getLocation(['items', 2]), undefined, "LOCATIONS");
+  parser.push(LOCATIONS_EXAMPLE.slice(26));
+  parser.close();
+  assert.deepStrictEqual(parser.getLocation([]), {value: {start: location(1, 1, 1), end: location(49, 2, 11)}}, "LOCATIONS");
+  assert.deepStrictEqual(parser.getLocation(['items']).value, {start: location(11, 1, 11), end: location(36, 1, 36)}, "LOCATIONS");
+  assert.deepStrictEqual(parser.getLocation(['items', 1, 'name']).value.end, location(28, 1, 28), "LOCATIONS");
+  assert.deepStrictEqual(parser.getLocation(['items', 2]), {value: {start: location(32, 1, 32), end: location(35, 1, 35)}}, "LOCATIONS");
+  // The locations of released items are not kept.
+  let locations = [];
+  let streamingParser = new Parser({track_locations: true, stream_items: '$.items'});
+  streamingParser.on('$.items[*]', (value, path) => locations.push(streamingParser.getLocation(path).value.start.index));
+  streamingParser.push(LOCATIONS_EXAMPLE);
+  streamingParser.close();
+  assert.deepStrictEqual(locations, [12, 15, 32], "LOCATIONS");
+  assert.strictEqual(streamingParser.getLocation(['items', 1]), undefined, "LOCATIONS");
+  assert.strictEqual(streamingParser.getLocation(['items', 1, 'name']), undefined, "LOCATIONS");
+  assert.notStrictEqual(streamingParser.getLocation(['n']), undefined, "LOCATIONS");
+  assert.deepStrictEqual(parser.getLocation(['n']), {
+    key: {start: location(40, 2, 2), end: location(42, 2, 4)},
+    value: {start: location(45, 2, 7), end: location(48, 2, 10)}
+  }, "LOCATIONS");
+}
+
+{
+  const STATE_EXAMPLE = '{"items": [1, {"name": "Ky\\u00f6to"}, 2.5e3], "text": "é😀", "flag": true}';
+  const bytes = new TextEncoder().encode(STATE_EXAMPLE);
+  const options = {track_events: true, track_locations: true, stream_items: '$.items', include_incomplete_strings: true};
+  for (const chunkSize of [1, 4, 9]) {
+    // The parser is saved and restored (through JSON) after each chunk.
+    let parser = new Parser(options);
+    let items = [];
+    for (let index = 0; index < bytes.length; index += chunkSize) {
+      parser.pushBytes(bytes.subarray(index, index + chunkSize));
+      const state = JSON.parse(JSON.stringify(parser.saveState()));
+      parser = Parser.fromState(state);
+      items.push(...parser.takeItems());
+    }
+    parser.close();
+    items.push(...parser.takeItems());
+    let reference = new Parser(options);
+    reference.push(STATE_EXAMPLE);
+    reference.close();
+    assert.deepStrictEqual(parser.getValue(), reference.getValue(), "STATE");
+    assert.deepStrictEqual(items, [
+      {value: 1, path: ['items', 0]},
+      {value: {name: 'Kyöto'}, path: ['items', 1]},
+      {value: 2500, path: ['items', 2]}
+    ], "STATE");
+    assert.deepStrictEqual(parser.takeEvents(), reference.takeEvents(), "STATE");
+    assert.deepStrictEqual(parser.getLocation(['text']), reference.getLocation(['text']), "STATE");
+  }
+  // Options which are functions must be given again.
+  const reviver = (key, value) => typeof value === 'number' ? value * 2 : value;
+  let parser = new Parser({reviver, json5: true});
+  parser.push('[1, {a: 2');
+  parser = Parser.fromState(parser.saveState(), {json5: true, reviver});
+  parser.push('}, 3]');
+  parser.close();
+  assert.deepStrictEqual(parser.getValue(), [2, {a: 4}, 6], "STATE");
+}
+
+{
+  // Several unicode escape sequences in the same input (also split across chunks).
+  const UNICODE_EXAMPLE = '{"\\u0041b": ["\\u00e9\\u00E8", "x\\u0394y"]}';
+  for (const chunkSize of [1, 5, 100]) {
+    assert.deepStrictEqual(parseInChunks(UNICODE_EXAMPLE, chunkSize), JSON.parse(UNICODE_EXAMPLE), "UNICODE_ESCAPES");
+  }
+}